@@ -1,7 +1,13 @@
+import forbidCallInContext from './rules/forbid-call-in-context.js'
+import requireCallAfter from './rules/require-call-after.js'
 import requireCallInContext from './rules/require-call-in-context.js'
+import requireCallOrder from './rules/require-call-order.js'
 
 export default {
   rules: {
-    'require-call-in-context': requireCallInContext
+    'forbid-call-in-context': forbidCallInContext,
+    'require-call-after': requireCallAfter,
+    'require-call-in-context': requireCallInContext,
+    'require-call-order': requireCallOrder
   }
 }
@@ -0,0 +1,118 @@
+import {
+  createCallResolver,
+  getAllCalls,
+  getCallExpressionName,
+  getDirectCalls,
+  nameEntrySchema,
+  normalizeEntry,
+} from "../utils/calls.js";
+import {
+  checkSchemaProperties,
+  createCheckVisitors,
+} from "../utils/selectors.js";
+
+export default {
+  meta: {
+    type: "problem",
+    docs: {
+      description:
+        "Forbid specific function calls within callback arguments of designated context functions",
+      category: "Best Practices",
+      recommended: false,
+    },
+    schema: [
+      {
+        type: "object",
+        properties: {
+          ...checkSchemaProperties,
+          forbid: {
+            type: "array",
+            items: nameEntrySchema,
+            minItems: 1,
+          },
+          allowIf: {
+            type: "array",
+            items: nameEntrySchema,
+            minItems: 1,
+          },
+        },
+        required: ["forbid"],
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      forbidden: "{{name}} must not be called in {{context}}",
+      forbiddenBeforeAllowed:
+        "{{name}} must not be called in {{context}} before {{allowIf}}",
+    },
+  },
+  create(context) {
+    const options = context.options[0] || {};
+    const {
+      check: checkOption = [],
+      checkFunctions = [],
+      checkDecorated = [],
+      forbid: forbidOption = [],
+      allowIf: allowIfOption = [],
+    } = options;
+
+    const forbidEntries = forbidOption.map(normalizeEntry);
+    const allowIfEntries = allowIfOption.map(normalizeEntry);
+    const allowIfList = allowIfEntries.map((entry) => entry.name).join(", ");
+
+    const { createCallNodeMatcher } = createCallResolver(context);
+    // Plain forbidden names only match global calls, so forbidding fetch
+    // doesn't report event.fetch() or cache.fetch()
+    const isForbiddenCall = createCallNodeMatcher(forbidEntries, {
+      exactName: true,
+    });
+    const isAllowingCall = createCallNodeMatcher(allowIfEntries);
+
+    // Calls already reported, for callbacks nested in other checked callbacks
+    const reportedCalls = new Set();
+
+    /**
+     * Report forbidden calls within a checked function
+     * @param {Node} funcNode - ArrowFunctionExpression or FunctionExpression/FunctionDeclaration
+     * @param {{name: string}} details - Name of the context function or export
+     */
+    function checkFunctionForForbiddenCalls(funcNode, { name: contextName }) {
+      // Calls allowing forbidden calls after them, in the function itself
+      const allowingCalls = getDirectCalls(funcNode)
+        .map((call) => call.node)
+        .filter(isAllowingCall);
+
+      for (const node of getAllCalls(funcNode)) {
+        if (reportedCalls.has(node) || !isForbiddenCall(node)) {
+          continue;
+        }
+
+        if (allowingCalls.some((call) => call.range[1] <= node.range[0])) {
+          continue;
+        }
+
+        reportedCalls.add(node);
+        context.report({
+          node,
+          messageId:
+            allowIfEntries.length > 0 ? "forbiddenBeforeAllowed" : "forbidden",
+          data: {
+            name: getCallExpressionName(node),
+            context: contextName,
+            allowIf: allowIfList,
+          },
+        });
+      }
+    }
+
+    return createCheckVisitors(
+      context,
+      {
+        check: checkOption.map(normalizeEntry),
+        checkFunctions,
+        checkDecorated,
+      },
+      checkFunctionForForbiddenCalls,
+    );
+  },
+};
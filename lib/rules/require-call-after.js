@@ -0,0 +1,146 @@
+import {
+  createCallResolver,
+  getCallExpressionName,
+  getDirectCalls,
+  nameEntrySchema,
+  normalizeEntry,
+} from "../utils/calls.js";
+import {
+  checkSchemaProperties,
+  createCheckVisitors,
+} from "../utils/selectors.js";
+
+/**
+ * Check if a node is within the finally block of a try statement
+ * @param {Node} node - Any node
+ * @param {Node} funcNode - The function containing the node
+ * @returns {boolean}
+ */
+function isInFinallyBlock(node, funcNode) {
+  let current = node;
+
+  while (current.parent && current !== funcNode) {
+    if (
+      current.parent.type === "TryStatement" &&
+      current.parent.finalizer === current
+    ) {
+      return true;
+    }
+    current = current.parent;
+  }
+
+  return false;
+}
+
+export default {
+  meta: {
+    type: "problem",
+    docs: {
+      description:
+        "Enforce that calls are followed by cleanup calls within callback arguments of designated context functions",
+      category: "Best Practices",
+      recommended: false,
+    },
+    schema: [
+      {
+        type: "object",
+        properties: {
+          ...checkSchemaProperties,
+          pairs: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                call: nameEntrySchema,
+                followedBy: {
+                  type: "array",
+                  items: nameEntrySchema,
+                  minItems: 1,
+                },
+              },
+              required: ["call", "followedBy"],
+              additionalProperties: false,
+            },
+            minItems: 1,
+          },
+          inFinally: {
+            type: "boolean",
+            default: false,
+          },
+        },
+        required: ["pairs"],
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      missingFollowUp: "{{name}} must be followed by {{followedBy}}",
+      notInFinally:
+        "{{followedBy}} must be called in a finally block after {{name}}",
+    },
+  },
+  create(context) {
+    const options = context.options[0] || {};
+    const {
+      check: checkOption = [],
+      checkFunctions = [],
+      checkDecorated = [],
+      pairs: pairsOption = [],
+      inFinally = false,
+    } = options;
+
+    const { createCallNodeMatcher } = createCallResolver(context);
+    const pairs = pairsOption.map((pair) => {
+      const followedBy = pair.followedBy.map(normalizeEntry);
+      return {
+        matchesCall: createCallNodeMatcher([normalizeEntry(pair.call)]),
+        matchesFollowUp: createCallNodeMatcher(followedBy),
+        followedBy: followedBy.map((entry) => entry.name).join(" or "),
+      };
+    });
+
+    /**
+     * Report calls in a checked function that aren't followed by a cleanup call
+     * @param {Node} funcNode - ArrowFunctionExpression or FunctionExpression/FunctionDeclaration
+     */
+    function checkFunctionForFollowUpCalls(funcNode) {
+      const calls = getDirectCalls(funcNode).map((call) => call.node);
+
+      for (const pair of pairs) {
+        const followUpCalls = calls.filter(pair.matchesFollowUp);
+
+        for (const node of calls.filter(pair.matchesCall)) {
+          const laterCalls = followUpCalls.filter(
+            (call) => call.range[0] >= node.range[1],
+          );
+          const isFollowedUp = inFinally
+            ? laterCalls.some((call) => isInFinallyBlock(call, funcNode))
+            : laterCalls.length > 0;
+
+          if (isFollowedUp) {
+            continue;
+          }
+
+          context.report({
+            node,
+            messageId:
+              laterCalls.length > 0 ? "notInFinally" : "missingFollowUp",
+            data: {
+              name: getCallExpressionName(node),
+              followedBy: pair.followedBy,
+            },
+          });
+        }
+      }
+    }
+
+    return createCheckVisitors(
+      context,
+      {
+        check: checkOption.map(normalizeEntry),
+        checkFunctions,
+        checkDecorated,
+      },
+      checkFunctionForFollowUpCalls,
+    );
+  },
+};
@@ -1,43 +1,120 @@
+import {
+  findExportedFunction,
+  loadImportedModule,
+  resolveModuleCall,
+} from "../utils/imports.js";
+import {
+  callMatchesEnforced,
+  createCallMatcher,
+  createCallResolver,
+  createSourceMatchers,
+  getAllCalls,
+  getCallExpressionName,
+  getDirectCalls,
+  getReferenceName,
+  isGuardPosition,
+  nameEntrySchema,
+  normalizeEntry,
+  unwrapChainExpression,
+  unwrapTypeExpression,
+  visitFunctionBody,
+} from "../utils/calls.js";
+import { isPattern } from "../utils/patterns.js";
+import {
+  checkSchemaProperties,
+  createCheckVisitors,
+} from "../utils/selectors.js";
+import {
+  addImportFix,
+  findImportBinding,
+  formatSuggestedCall,
+  insertStatementFix,
+  replaceIdentifier,
+} from "../utils/suggestions.js";
+
 /**
- * Extract the full name from a CallExpression node
- * @param {Node} node - CallExpression node
- * @returns {string|null} - Full function name or null
+ * Unwrap an await expression to get the awaited call
+ * @param {Node} node - Any expression node
+ * @returns {Node|null} - CallExpression node or null
  */
-function getCallExpressionName(node) {
-  if (node.type !== "CallExpression") {
-    return null;
+function getRootCall(node) {
+  let expr = node;
+
+  // Handle await expression: await foo()
+  if (expr && expr.type === "AwaitExpression") {
+    expr = expr.argument;
   }
 
-  const { callee } = node;
+  // Handle optional calls: auth?.check()
+  expr = unwrapChainExpression(expr);
 
-  // Simple identifier: query()
-  if (callee.type === "Identifier") {
-    return callee.name;
+  if (expr && expr.type === "CallExpression") {
+    return expr;
   }
 
-  // Member expression: query.batch()
-  if (callee.type === "MemberExpression") {
-    const parts = [];
-    let current = callee;
+  return null;
+}
 
-    while (current) {
-      if (current.type === "MemberExpression") {
-        if (current.property.type === "Identifier") {
-          parts.unshift(current.property.name);
-        }
-        current = current.object;
-      } else if (current.type === "Identifier") {
-        parts.unshift(current.name);
-        break;
-      } else {
-        return null;
-      }
+/**
+ * Find the reads of a variable declared within a function of an imported
+ * module, which has no scope analysis
+ * Identifiers with the variable's name in the declaring function are taken
+ * as its reads, ignoring shadowing in nested blocks and functions.
+ * @param {Node} declarator - VariableDeclarator node with an Identifier id
+ * @returns {Node[]} - Identifier nodes
+ */
+function getModuleVariableReads(declarator) {
+  let funcNode = declarator.parent;
+  while (
+    funcNode &&
+    funcNode.type !== "FunctionDeclaration" &&
+    funcNode.type !== "FunctionExpression" &&
+    funcNode.type !== "ArrowFunctionExpression"
+  ) {
+    funcNode = funcNode.parent;
+  }
+  if (!funcNode) {
+    return [];
+  }
+
+  const { name } = declarator.id;
+  const reads = new Set();
+  visitFunctionBody(funcNode, (node) => {
+    const { parent } = node;
+    if (
+      node.type === "Identifier" &&
+      node.name === name &&
+      node !== declarator.id &&
+      !(
+        parent.type === "MemberExpression" &&
+        parent.property === node &&
+        !parent.computed
+      ) &&
+      !(parent.type === "Property" && parent.key === node && !parent.shorthand)
+    ) {
+      reads.add(node);
     }
+  });
 
-    return parts.join(".");
+  return [...reads];
+}
+
+/**
+ * Check if a function is declared under a name it can be referenced by, e.g.
+ * function handler() {} or const handler = () => {}
+ * @param {Node} node - Any node starting a code path
+ * @returns {boolean}
+ */
+function isNamedFunction(node) {
+  if (node.type === "FunctionDeclaration") {
+    return true;
   }
 
-  return null;
+  let { parent } = node;
+  while (parent && unwrapTypeExpression(parent) !== parent) {
+    parent = parent.parent;
+  }
+  return Boolean(parent) && parent.type === "VariableDeclarator";
 }
 
 /**
@@ -60,200 +137,252 @@ function isEmptyCallback(node) {
 }
 
 /**
- * Get all function calls in a callback body, including those in nested blocks
- * @param {Node} node - ArrowFunctionExpression, FunctionExpression, or FunctionDeclaration
- * @returns {string[]} - Array of function names called
+ * Get the calls at the root of a statement
+ * Handles: foo(), await foo(), const x = foo(), return await foo()
+ * @param {Node} statement - Any statement node
+ * @returns {Node[]} - CallExpression nodes
  */
-function getDirectCalls(node) {
-  const calls = [];
+function getStatementRootCalls(statement) {
+  const rootCalls = [];
 
-  // Arrow function with expression body: () => foo() or () => await foo()
-  if (node.type === "ArrowFunctionExpression" && node.expression) {
-    let expr = node.body;
+  // ExpressionStatement containing a CallExpression or AwaitExpression
+  if (statement.type === "ExpressionStatement") {
+    rootCalls.push(getRootCall(statement.expression));
+  }
 
-    // Handle await expression: () => await foo()
-    if (expr.type === "AwaitExpression") {
-      expr = expr.argument;
+  // VariableDeclaration with CallExpression or AwaitExpression initializer
+  if (statement.type === "VariableDeclaration") {
+    for (const declarator of statement.declarations) {
+      rootCalls.push(getRootCall(declarator.init));
     }
+  }
 
-    const name = getCallExpressionName(expr);
-    if (name) {
-      calls.push(name);
-    }
-    return calls;
+  // ReturnStatement with CallExpression or AwaitExpression
+  if (statement.type === "ReturnStatement") {
+    rootCalls.push(getRootCall(statement.argument));
   }
 
-  /**
-   * Recursively collect calls from a statement
-   * @param {Node} statement - Any statement node
-   */
-  function collectCallsFromStatement(statement) {
-    if (!statement) {
-      return;
-    }
+  return rootCalls.filter(Boolean);
+}
 
-    // ExpressionStatement containing a CallExpression or AwaitExpression
-    if (statement.type === "ExpressionStatement") {
-      let expr = statement.expression;
+/**
+ * Get the expression of a guard statement, which may hold enforced calls
+ * Handles: if (!(await foo())) throw ..., throw foo()
+ * @param {Node} statement - Any statement node
+ * @returns {Node|null} - The `if` test or thrown expression
+ */
+function getGuardStatementExpression(statement) {
+  if (statement.type === "IfStatement") {
+    return statement.test;
+  }
 
-      // Handle await expression: await foo()
-      if (expr.type === "AwaitExpression") {
-        expr = expr.argument;
-      }
+  if (statement.type === "ThrowStatement") {
+    return statement.argument;
+  }
 
-      if (expr.type === "CallExpression") {
-        const name = getCallExpressionName(expr);
-        if (name) {
-          calls.push(name);
-        }
-      }
-    }
+  return null;
+}
 
-    // VariableDeclaration with CallExpression or AwaitExpression initializer
-    if (statement.type === "VariableDeclaration") {
-      for (const declarator of statement.declarations) {
-        if (declarator.init) {
-          let expr = declarator.init;
+/**
+ * Check if a call is to a guard function declared to satisfy an enforced function
+ * @param {string|null} call - The actual function call name
+ * @param {string} enforce - The required function name
+ * @param {Object<string, string[]>} guards - Guard names mapped to the enforced
+ *   function names they satisfy
+ * @returns {boolean}
+ */
+function callSatisfiesThroughGuard(call, enforce, guards) {
+  return Object.entries(guards).some(
+    ([guard, satisfied]) =>
+      satisfied.includes(enforce) && callMatchesEnforced(call, guard),
+  );
+}
 
-          // Handle await expression: const x = await foo()
-          if (expr.type === "AwaitExpression") {
-            expr = expr.argument;
-          }
+/**
+ * Format the enforced function names for messages, noting which guards satisfy them
+ * e.g. "hasPermission, isAuthenticated (requireAdmin satisfies hasPermission)"
+ * @param {string[]} enforce - Required function names
+ * @param {Object<string, string[]>} guards - Guard names mapped to the enforced
+ *   function names they satisfy
+ * @returns {string}
+ */
+function formatEnforcedFunctions(enforce, guards) {
+  const hints = Object.entries(guards)
+    .map(([guard, satisfied]) => [
+      guard,
+      satisfied.filter((fn) => enforce.includes(fn)),
+    ])
+    .filter(([, satisfied]) => satisfied.length > 0)
+    .map(([guard, satisfied]) => `${guard} satisfies ${satisfied.join(", ")}`);
 
-          if (expr.type === "CallExpression") {
-            const name = getCallExpressionName(expr);
-            if (name) {
-              calls.push(name);
-            }
-          }
-        }
-      }
-    }
+  const functions = enforce.join(", ");
+  return hints.length > 0 ? `${functions} (${hints.join("; ")})` : functions;
+}
 
-    // ReturnStatement with CallExpression or AwaitExpression
-    if (statement.type === "ReturnStatement" && statement.argument) {
-      let expr = statement.argument;
+/**
+ * Check if a call matches any of the enforced function names
+ * @param {{name: string}} call - Collected call
+ * @param {string[]} enforce - Required function names
+ * @returns {boolean}
+ */
+function isEnforcedCall(call, enforce) {
+  return enforce.some((fn) => callMatchesEnforced(call.name, fn));
+}
 
-      // Handle await expression: return await foo()
-      if (expr.type === "AwaitExpression") {
-        expr = expr.argument;
-      }
+/**
+ * Get the enforced calls that lead the function body, before any other statement
+ * @param {Node} node - ArrowFunctionExpression, FunctionExpression, or FunctionDeclaration
+ * @param {{name: string, node: Node}[]} calls - Calls collected from the function
+ * @param {string[]} enforce - Required function names
+ * @returns {{name: string, node: Node}[]} - Leading enforced calls
+ */
+function getLeadingEnforcedCalls(node, calls, enforce) {
+  const enforcedCalls = calls.filter((call) => isEnforcedCall(call, enforce));
+  const leading = [];
 
-      if (expr.type === "CallExpression") {
-        const name = getCallExpressionName(expr);
-        if (name) {
-          calls.push(name);
-        }
-      }
-    }
+  // Arrow function with expression body: () => foo()
+  const statements =
+    node.type === "ArrowFunctionExpression" && node.expression
+      ? [{ type: "ExpressionStatement", expression: node.body }]
+      : node.body.body;
 
-    // BlockStatement: { ... }
-    if (statement.type === "BlockStatement") {
-      for (const stmt of statement.body) {
-        collectCallsFromStatement(stmt);
-      }
-    }
+  for (const statement of statements) {
+    const rootCalls = getStatementRootCalls(statement);
+    const guardExpression = getGuardStatementExpression(statement);
 
-    // IfStatement: if (...) { ... } else { ... }
-    if (statement.type === "IfStatement") {
-      collectCallsFromStatement(statement.consequent);
-      collectCallsFromStatement(statement.alternate);
-    }
+    // Guard statement whose test or thrown value holds the enforced calls
+    if (guardExpression) {
+      const guardCalls = enforcedCalls.filter(
+        (call) =>
+          call.node.range[0] >= guardExpression.range[0] &&
+          call.node.range[1] <= guardExpression.range[1] &&
+          isGuardPosition(call.node),
+      );
 
-    // TryStatement: try { ... } catch { ... } finally { ... }
-    if (statement.type === "TryStatement") {
-      collectCallsFromStatement(statement.block);
-      if (statement.handler) {
-        collectCallsFromStatement(statement.handler.body);
+      if (guardCalls.length === 0) {
+        break;
       }
-      collectCallsFromStatement(statement.finalizer);
-    }
-
-    // ForStatement: for (...) { ... }
-    if (statement.type === "ForStatement") {
-      collectCallsFromStatement(statement.body);
-    }
 
-    // ForInStatement: for (... in ...) { ... }
-    if (statement.type === "ForInStatement") {
-      collectCallsFromStatement(statement.body);
+      leading.push(...guardCalls);
+      continue;
     }
 
-    // ForOfStatement: for (... of ...) { ... }
-    if (statement.type === "ForOfStatement") {
-      collectCallsFromStatement(statement.body);
+    // Stop at the first statement that is not an enforced call
+    if (
+      rootCalls.length === 0 ||
+      !rootCalls.every((expr) =>
+        enforcedCalls.some((call) => call.node === expr),
+      )
+    ) {
+      break;
     }
 
-    // WhileStatement: while (...) { ... }
-    if (statement.type === "WhileStatement") {
-      collectCallsFromStatement(statement.body);
-    }
+    leading.push(
+      ...enforcedCalls.filter((call) => rootCalls.includes(call.node)),
+    );
+  }
 
-    // DoWhileStatement: do { ... } while (...)
-    if (statement.type === "DoWhileStatement") {
-      collectCallsFromStatement(statement.body);
-    }
+  return leading;
+}
 
-    // SwitchStatement: switch (...) { case ...: ... }
-    if (statement.type === "SwitchStatement") {
-      for (const caseClause of statement.cases) {
-        for (const stmt of caseClause.consequent) {
-          collectCallsFromStatement(stmt);
-        }
-      }
-    }
+/**
+ * Get the enforced calls that happen before any other call, await or return
+ * @param {Node} node - ArrowFunctionExpression, FunctionExpression, or FunctionDeclaration
+ * @param {{name: string, node: Node}[]} calls - Calls collected from the function
+ * @param {string[]} enforce - Required function names
+ * @returns {{name: string, node: Node}[]} - Enforced calls preceding all side effects
+ */
+function getEnforcedCallsBeforeSideEffects(node, calls, enforce) {
+  const enforcedCalls = calls.filter((call) => isEnforcedCall(call, enforce));
+  let firstSideEffect = Infinity;
 
-    // WithStatement: with (...) { ... }
-    if (statement.type === "WithStatement") {
-      collectCallsFromStatement(statement.body);
+  visitFunctionBody(node, (current) => {
+    if (
+      current.type !== "CallExpression" &&
+      current.type !== "AwaitExpression" &&
+      current.type !== "ReturnStatement"
+    ) {
+      return;
     }
 
-    // LabeledStatement: label: ...
-    if (statement.type === "LabeledStatement") {
-      collectCallsFromStatement(statement.body);
+    // The enforced call itself, or a node wrapping it: await foo(), return foo()
+    const wrapsEnforcedCall = enforcedCalls.some(
+      (call) =>
+        current.range[0] <= call.node.range[0] &&
+        current.range[1] >= call.node.range[1],
+    );
+    // Arguments are evaluated first, so nodes finishing earlier run earlier
+    if (!wrapsEnforcedCall) {
+      firstSideEffect = Math.min(firstSideEffect, current.range[1]);
     }
-  }
+  });
 
-  // Block body: () => { foo(); bar(); }
-  if (node.body && node.body.type === "BlockStatement") {
-    for (const statement of node.body.body) {
-      collectCallsFromStatement(statement);
-    }
-  }
+  return enforcedCalls.filter((call) => call.node.range[1] < firstSideEffect);
+}
 
-  return calls;
+/**
+ * Check if a set of satisfied enforced function names meets the requirement
+ * @param {Set<string>} satisfied - Enforced function names already called
+ * @param {string[]} enforce - Required function names
+ * @param {boolean} requireAll - Whether all enforced functions must be called
+ * @returns {boolean}
+ */
+function hasRequiredFunctions(satisfied, enforce, requireAll) {
+  return requireAll
+    ? enforce.every((fn) => satisfied.has(fn))
+    : enforce.some((fn) => satisfied.has(fn));
 }
 
 /**
- * Check if a call matches an enforced function name
- * Supports both direct matches and namespace import patterns:
- * - "hasPermission" matches "hasPermission" (direct)
- * - "hasPermission" matches "permissions.hasPermission" (namespace import)
- * - "auth.check" matches "auth.check" (direct member expression)
- * @param {string} call - The actual function call name
- * @param {string} enforce - The required function name
- * @returns {boolean} - True if call satisfies the enforcement
+ * Compute the enforced function names called on every path through each segment
+ * @param {CodePath} codePath - Code path of the function
+ * @param {Map<string, string[]>} calledInSegments - Enforced names called within each segment
+ * @param {string[]} enforce - Required function names
+ * @returns {Map<string, Set<string>>} - Names satisfied at the end of each segment
  */
-function callMatchesEnforced(call, enforce) {
-  // Direct match
-  if (call === enforce) {
-    return true;
-  }
+function getSatisfiedOnAllPaths(codePath, calledInSegments, enforce) {
+  const segments = [];
+  codePath.traverseSegments((segment) => {
+    segments.push(segment);
+  });
+
+  // Start optimistic and narrow down until stable, so loop back edges settle
+  const satisfied = new Map(
+    segments.map((segment) => [segment.id, new Set(enforce)]),
+  );
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+
+    for (const segment of segments) {
+      const incoming = segment.prevSegments
+        .map((prevSegment) => satisfied.get(prevSegment.id))
+        .filter(Boolean);
+      const result = new Set(calledInSegments.get(segment.id));
+
+      // Only names satisfied on every incoming path carry over
+      if (incoming.length > 0) {
+        for (const fn of incoming[0]) {
+          if (incoming.every((names) => names.has(fn))) {
+            result.add(fn);
+          }
+        }
+      }
 
-  // Namespace import pattern: enforce "hasPermission" matches call "permissions.hasPermission"
-  // Check if the call ends with the enforced function name as the rightmost part
-  if (call.includes(".") && !enforce.includes(".")) {
-    const parts = call.split(".");
-    const lastPart = parts[parts.length - 1];
-    return lastPart === enforce;
+      if (result.size !== satisfied.get(segment.id).size) {
+        satisfied.set(segment.id, result);
+        changed = true;
+      }
+    }
   }
 
-  return false;
+  return satisfied;
 }
 
 /**
  * Check if the required enforced calls are present
- * @param {string[]} calls - Function names called in callback
+ * @param {{name: string}[]} calls - Calls collected from callback
  * @param {string[]} enforce - Required function names
  * @param {boolean} requireAll - Whether all enforced functions must be called
  * @returns {boolean} - True if requirements are met
@@ -262,232 +391,1340 @@ function checkEnforcedCalls(calls, enforce, requireAll) {
   if (requireAll) {
     // All enforced functions must be called
     return enforce.every((fn) =>
-      calls.some((call) => callMatchesEnforced(call, fn)),
+      calls.some((call) => callMatchesEnforced(call.name, fn)),
     );
   } else {
     // At least one enforced function must be called
     return enforce.some((fn) =>
-      calls.some((call) => callMatchesEnforced(call, fn)),
+      calls.some((call) => callMatchesEnforced(call.name, fn)),
     );
   }
 }
 
-export default {
-  meta: {
-    type: "problem",
-    docs: {
-      description:
-        "Enforce specific function calls within callback arguments of designated context functions",
-      category: "Best Practices",
-      recommended: false,
-    },
-    schema: [
-      {
-        type: "object",
-        properties: {
-          check: {
-            type: "array",
-            items: { type: "string" },
-            minItems: 1,
-          },
-          checkFunctions: {
-            type: "array",
-            items: { type: "string" },
-            minItems: 1,
-          },
-          enforce: {
-            type: "array",
-            items: { type: "string" },
-            minItems: 1,
+/**
+ * Get the value of a literal argument
+ * Handles: "read", 1, -1, true and template literals without expressions
+ * @param {Node} node - Argument node
+ * @returns {{value: string|number|boolean}|null} - Static value or null
+ */
+function getStaticValue(node) {
+  if (
+    node.type === "Literal" &&
+    node.regex === undefined &&
+    node.value !== null
+  ) {
+    return { value: node.value };
+  }
+
+  if (node.type === "TemplateLiteral" && node.expressions.length === 0) {
+    return { value: node.quasis[0].value.cooked };
+  }
+
+  if (
+    node.type === "UnaryExpression" &&
+    node.operator === "-" &&
+    node.argument.type === "Literal" &&
+    typeof node.argument.value === "number"
+  ) {
+    return { value: -node.argument.value };
+  }
+
+  return null;
+}
+
+/**
+ * Get the identifier an argument reads from
+ * e.g. event for event, event.locals and event?.locals.user
+ * @param {Node} node - Argument node
+ * @returns {Node|null} - Identifier node or null
+ */
+function getArgumentRootIdentifier(node) {
+  let current = unwrapChainExpression(node);
+
+  while (current.type === "MemberExpression") {
+    current = unwrapChainExpression(current.object);
+  }
+
+  return current.type === "Identifier" ? current : null;
+}
+
+/**
+ * Get a readable name for a function parameter
+ * @param {Node} funcNode - ArrowFunctionExpression, FunctionExpression, or FunctionDeclaration
+ * @param {number} index - Parameter index
+ * @returns {string} - Parameter name, e.g. "event", or "parameter 1"
+ */
+function getParameterName(funcNode, index) {
+  let param = funcNode.params[index];
+  if (param && param.type === "AssignmentPattern") {
+    param = param.left;
+  }
+
+  return param && param.type === "Identifier"
+    ? param.name
+    : `parameter ${index + 1}`;
+}
+
+/**
+ * Check if a call's arguments meet the constraints of an enforce entry
+ * Constrained arguments must be present and, if a type or allowed values are
+ * configured, be literals
+ * @param {Node} node - CallExpression node
+ * @param {{args?: {type?: string, oneOf?: Array, param?: number}[], minArgs?: number}} entry - Enforce entry
+ * @param {(arg: Node, index: number) => boolean} referencesParameter - Checks
+ *   if an argument references the parameter at an index of the checked function
+ * @returns {boolean}
+ */
+function matchesArgumentConstraints(node, entry, referencesParameter) {
+  const { args = [], minArgs = 0 } = entry;
+
+  if (node.arguments.length < minArgs) {
+    return false;
+  }
+
+  return args.every((constraint, index) => {
+    const arg = node.arguments[index];
+    if (!arg || arg.type === "SpreadElement") {
+      return false;
+    }
+
+    if (
+      constraint.param !== undefined &&
+      !referencesParameter(arg, constraint.param)
+    ) {
+      return false;
+    }
+
+    if (!constraint.type && !constraint.oneOf) {
+      return true;
+    }
+
+    const literal = getStaticValue(arg);
+    return (
+      literal !== null &&
+      (!constraint.type || typeof literal.value === constraint.type) &&
+      (!constraint.oneOf || constraint.oneOf.includes(literal.value))
+    );
+  });
+}
+
+/**
+ * Describe the argument constraints of an enforce entry for messages
+ * e.g. "at least 1 argument and argument 1 as one of "read", "write"" or
+ * "argument 1 referencing event"
+ * @param {{args?: {type?: string, oneOf?: Array, param?: number}[], minArgs?: number}} entry - Enforce entry
+ * @param {Node} funcNode - The checked function, to name bound parameters
+ * @returns {string}
+ */
+function formatArgumentConstraints(entry, funcNode) {
+  const { args = [], minArgs } = entry;
+  const parts = [];
+
+  if (minArgs) {
+    parts.push(`at least ${minArgs} argument${minArgs === 1 ? "" : "s"}`);
+  }
+
+  args.forEach((constraint, index) => {
+    if (constraint.param !== undefined) {
+      const param = getParameterName(funcNode, constraint.param);
+      parts.push(`argument ${index + 1} referencing ${param}`);
+    } else if (constraint.oneOf) {
+      const values = constraint.oneOf.map((value) => JSON.stringify(value));
+      parts.push(`argument ${index + 1} as one of ${values.join(", ")}`);
+    } else if (constraint.type) {
+      parts.push(`argument ${index + 1} as a ${constraint.type}`);
+    } else {
+      parts.push(`argument ${index + 1}`);
+    }
+  });
+
+  return parts.join(" and ");
+}
+
+/**
+ * Get the import a suggested call needs: the configured import, or the
+ * plain name of an entry restricted to a literal import source
+ * @param {{name: string, from?: string, import?: {from: string, named: string}}} entry - Enforce entry
+ * @returns {{from: string, named: string}|null}
+ */
+function getSuggestedImport(entry) {
+  if (entry.import) {
+    return entry.import;
+  }
+
+  if (entry.from && !isPattern(entry.from) && !entry.name.includes(".")) {
+    return { from: entry.from, named: entry.name };
+  }
+
+  return null;
+}
+
+/**
+ * Schema for an enforced function name, optionally restricted to an import
+ * source and the arguments it must be called with, and the call to suggest
+ * with the import it needs
+ * e.g. { name: "hasPermission", args: [{ type: "string", oneOf: ["read"] }] }
+ */
+const enforceEntrySchema = {
+  anyOf: [
+    { type: "string" },
+    {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        from: { type: "string" },
+        args: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              type: { enum: ["string", "number", "boolean"] },
+              oneOf: {
+                type: "array",
+                items: { type: ["string", "number", "boolean"] },
+                minItems: 1,
+              },
+              param: {
+                type: "integer",
+                minimum: 0,
+              },
+            },
+            additionalProperties: false,
           },
-          requireAll: {
-            type: "boolean",
-            default: false,
+        },
+        minArgs: {
+          type: "integer",
+          minimum: 0,
+        },
+        suggestion: { type: "string" },
+        import: {
+          type: "object",
+          properties: {
+            from: { type: "string" },
+            named: { type: "string" },
           },
+          required: ["from", "named"],
+          additionalProperties: false,
         },
-        required: ["enforce"],
-        additionalProperties: false,
       },
-    ],
-    messages: {
-      missingAtLeastOne: "Callback must call at least one of: {{functions}}",
-      missingAll: "Callback must call all of: {{functions}}",
+      required: ["name"],
+      additionalProperties: false,
+    },
+  ],
+};
+
+/**
+ * Schema for the options of one set of checked contexts and the calls
+ * enforced in them
+ */
+const optionsSchema = {
+  type: "object",
+  properties: {
+    ...checkSchemaProperties,
+    enforce: {
+      type: "array",
+      items: enforceEntrySchema,
+      minItems: 1,
+    },
+    requireAll: {
+      type: "boolean",
+      default: false,
+    },
+    position: {
+      enum: ["first", "beforeAny", "anywhere"],
+      default: "anywhere",
+    },
+    allPaths: {
+      type: "boolean",
+      default: false,
+    },
+    guardsOnly: {
+      type: "boolean",
+      default: false,
+    },
+    followLocalCalls: {
+      type: "boolean",
+      default: false,
+    },
+    maxFollowDepth: {
+      type: "integer",
+      minimum: 1,
+      default: 3,
+    },
+    followImports: {
+      type: "boolean",
+      default: false,
+    },
+    importAliases: {
+      type: "object",
+      additionalProperties: { type: "string" },
     },
+    guards: {
+      type: "object",
+      additionalProperties: {
+        type: "array",
+        items: { type: "string" },
+        minItems: 1,
+      },
+    },
+    mustUseResult: {
+      type: "boolean",
+      default: false,
+    },
+    when: {
+      type: "object",
+      properties: {
+        calls: {
+          type: "array",
+          items: nameEntrySchema,
+          minItems: 1,
+        },
+      },
+      required: ["calls"],
+      additionalProperties: false,
+    },
+    suggest: {
+      type: "boolean",
+      default: false,
+    },
+    message: { type: "string" },
   },
-  create(context) {
-    const options = context.options[0] || {};
-    const {
-      check = [],
-      checkFunctions = [],
-      enforce = [],
-      requireAll = false,
-    } = options;
-
-    // Convert to sets for faster lookup
-    const checkSet = new Set(check);
-    const checkFunctionsSet = new Set(checkFunctions);
-    const messageId = requireAll ? "missingAll" : "missingAtLeastOne";
-
-    /**
-     * Unwrap TypeScript type assertion expressions to get the underlying expression
-     * Handles: TSSatisfiesExpression, TSAsExpression, TSTypeAssertion
-     * @param {Node} node - Any expression node
-     * @returns {Node} - The unwrapped expression
-     */
-    function unwrapTypeExpression(node) {
-      if (!node) {
-        return node;
-      }
-      // Handle TypeScript satisfies, as, and type assertion expressions
-      if (
-        node.type === "TSSatisfiesExpression" ||
-        node.type === "TSAsExpression" ||
-        node.type === "TSTypeAssertion"
-      ) {
-        return unwrapTypeExpression(node.expression);
-      }
-      return node;
-    }
+  required: ["enforce"],
+  additionalProperties: false,
+};
 
-    /**
-     * Check a function node for enforced calls and report if missing
-     * @param {Node} funcNode - ArrowFunctionExpression or FunctionExpression/FunctionDeclaration
-     */
-    function checkFunctionForEnforcedCalls(funcNode) {
-      // Empty functions are allowed
-      if (isEmptyCallback(funcNode)) {
-        return;
-      }
+/**
+ * Replace the {{placeholders}} of a configured message
+ * @param {string} message - Configured message
+ * @param {Object<string, string>} data - Placeholder values
+ * @returns {string}
+ */
+function formatCustomMessage(message, data) {
+  return message.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) =>
+    Object.hasOwn(data, key) ? data[key] : placeholder,
+  );
+}
 
-      // Get all direct calls in the function
-      const calls = getDirectCalls(funcNode);
+/**
+ * Combine the visitors of several rule configurations, calling handlers for
+ * the same selector in order
+ * @param {Object<string, Function>[]} visitorsList - Visitor objects
+ * @returns {Object<string, Function>}
+ */
+function mergeVisitors(visitorsList) {
+  const handlers = new Map();
 
-      // Check if enforced calls are present
-      if (!checkEnforcedCalls(calls, enforce, requireAll)) {
-        context.report({
-          node: funcNode,
-          messageId,
-          data: {
-            functions: enforce.join(", "),
-          },
-        });
-      }
+  for (const visitors of visitorsList) {
+    for (const [selector, handler] of Object.entries(visitors)) {
+      handlers.set(selector, [...(handlers.get(selector) || []), handler]);
     }
+  }
 
-    /**
-     * Get the name of an exported function variable
-     * @param {Node} node - VariableDeclarator node
-     * @returns {string|null} - Function name or null
-     */
-    function getExportedFunctionName(node) {
-      if (node.id && node.id.type === "Identifier") {
-        return node.id.name;
-      }
-      return null;
-    }
+  return Object.fromEntries(
+    [...handlers].map(([selector, list]) => [
+      selector,
+      list.length === 1
+        ? list[0]
+        : (...args) => {
+            for (const handler of list) {
+              handler(...args);
+            }
+          },
+    ]),
+  );
+}
 
-    return {
-      CallExpression(node) {
-        // Get the name of the function being called
-        const functionName = getCallExpressionName(node);
-        if (!functionName || !checkSet.has(functionName)) {
-          return;
-        }
+/**
+ * Create the visitors checking one set of contexts for enforced calls
+ * @param {RuleContext} context - ESLint rule context
+ * @param {object} options - Options of the set
+ * @returns {Object<string, Function>}
+ */
+function createContextVisitors(context, options) {
+  const {
+    check: checkOption = [],
+    checkFunctions = [],
+    checkDecorated = [],
+    enforce: enforceOption = [],
+    requireAll = false,
+    position = "anywhere",
+    allPaths = false,
+    guardsOnly = false,
+    followLocalCalls = false,
+    maxFollowDepth = 3,
+    followImports = false,
+    importAliases = {},
+    guards = {},
+    mustUseResult = false,
+    when = null,
+    suggest = false,
+    message = null,
+  } = options;
 
-        // Check all arguments for function callbacks
-        for (const arg of node.arguments) {
-          // Only check arrow functions and function expressions
-          if (
-            arg.type !== "ArrowFunctionExpression" &&
-            arg.type !== "FunctionExpression"
-          ) {
-            continue;
-          }
+  const checkEntries = checkOption.map(normalizeEntry);
+  const enforceEntries = enforceOption.map(normalizeEntry);
+  const enforce = enforceEntries.map((entry) => entry.name);
 
-          checkFunctionForEnforcedCalls(arg);
-        }
-      },
+  // Import sources that calls must resolve to, by function name
+  const enforceSources = createSourceMatchers(enforceEntries);
 
-      // Handle: export const load = () => {}
-      ExportNamedDeclaration(node) {
-        if (checkFunctionsSet.size === 0) {
-          return;
-        }
+  // Enforce entries that restrict the arguments calls are made with
+  const argumentConstraints = new Map(
+    enforceEntries
+      .filter((entry) => entry.args || entry.minArgs)
+      .map((entry) => [entry.name, entry]),
+  );
 
-        // export const load = () => {}
-        if (
-          node.declaration &&
-          node.declaration.type === "VariableDeclaration"
-        ) {
-          for (const declarator of node.declaration.declarations) {
-            const name = getExportedFunctionName(declarator);
-            if (!name || !checkFunctionsSet.has(name)) {
-              continue;
-            }
+  // Compile patterns once, literal names are looked up directly
+  const enforceMatchers = new Map(
+    enforce.map((fn) => [fn, createCallMatcher(fn)]),
+  );
+  const messageId = requireAll ? "missingAll" : "missingAtLeastOne";
+  const functionsList = formatEnforcedFunctions(enforce, guards);
 
-            // Check if the initializer is a function (unwrap TS type expressions)
-            const unwrappedInit = unwrapTypeExpression(declarator.init);
-            if (
-              unwrappedInit &&
-              (unwrappedInit.type === "ArrowFunctionExpression" ||
-                unwrappedInit.type === "FunctionExpression")
-            ) {
-              checkFunctionForEnforcedCalls(unwrappedInit);
-            }
+  // How imported modules are resolved and parsed when following imports
+  const importOptions = {
+    aliases: importAliases,
+    cwd: context.cwd,
+    parse(text, filePath) {
+      const { parser, parserOptions, ecmaVersion, sourceType } =
+        context.languageOptions;
+      const parseOptions = {
+        ...parserOptions,
+        ecmaVersion,
+        sourceType,
+        range: true,
+        loc: true,
+        tokens: true,
+        comment: true,
+        filePath,
+      };
 
-            // Check if the initializer is an object with function properties
-            // e.g., export const actions = { default: async () => {} }
-            if (unwrappedInit && unwrappedInit.type === "ObjectExpression") {
-              for (const property of unwrappedInit.properties) {
-                // Skip spread elements and non-property nodes
-                if (property.type !== "Property") {
-                  continue;
-                }
-
-                // Unwrap TS type expressions from property value
-                const unwrappedValue = unwrapTypeExpression(property.value);
-
-                // Arrow function or function expression as property value
-                if (
-                  unwrappedValue &&
-                  (unwrappedValue.type === "ArrowFunctionExpression" ||
-                    unwrappedValue.type === "FunctionExpression")
-                ) {
-                  checkFunctionForEnforcedCalls(unwrappedValue);
-                }
-              }
-            }
-          }
-        }
+      return typeof parser.parseForESLint === "function"
+        ? parser.parseForESLint(text, parseOptions).ast
+        : parser.parse(text, parseOptions);
+    },
+  };
 
-        // export function load() {}
+  const {
+    findVariable,
+    resolveCallName,
+    matchesImportSource,
+    resolveFunctionReference,
+    createCallNodeMatcher,
+  } = createCallResolver(context);
+
+  // Calls that make a function subject to enforcement, if configured
+  const isTriggerCall =
+    when && createCallNodeMatcher(when.calls.map(normalizeEntry));
+
+  // Functions whose code paths must all pass through an enforced call
+  const pathCheckedFunctions = new Set();
+
+  // Code paths analyzed before their function was checked, by function
+  const analyzedCodePaths = new Map();
+
+  // Whether missing enforced calls were reported for checked functions, by
+  // function
+  const checkedFunctions = new Map();
+
+  // Code path state of the function being traversed (innermost first)
+  let codePathInfo = null;
+
+  /**
+   * Find a method or arrow function property of a class by name
+   * @param {Node} classNode - ClassDeclaration or ClassExpression
+   * @param {string} name - Method name
+   * @param {boolean} isStatic - Whether to look for a static member
+   * @returns {Node|null} - FunctionExpression or ArrowFunctionExpression
+   */
+  function findClassMethod(classNode, name, isStatic) {
+    for (const member of classNode.body.body) {
+      if (
+        (member.type !== "MethodDefinition" &&
+          member.type !== "PropertyDefinition") ||
+        member.computed ||
+        member.static !== isStatic ||
+        member.key.type !== "Identifier" ||
+        member.key.name !== name
+      ) {
+        continue;
+      }
+
+      const value = unwrapTypeExpression(member.value);
+      if (
+        value &&
+        (value.type === "FunctionExpression" ||
+          value.type === "ArrowFunctionExpression")
+      ) {
+        return value;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve a call to a function declared in the same file
+   * Handles: helper() for function declarations and const functions,
+   * this.helper() within a class and Helper.check() for static methods
+   * @param {Node} node - CallExpression node
+   * @returns {Node|null} - The called function node or null
+   */
+  function resolveLocalFunction(node) {
+    const { callee } = node;
+
+    // helper()
+    if (callee.type === "Identifier") {
+      return resolveFunctionReference(callee);
+    }
+
+    if (
+      callee.type !== "MemberExpression" ||
+      callee.computed ||
+      callee.property.type !== "Identifier"
+    ) {
+      return null;
+    }
+
+    // this.helper() within a class method
+    if (callee.object.type === "ThisExpression") {
+      let current = node.parent;
+      while (current && current.type !== "ClassBody") {
+        // `this` only refers to the class from methods and arrow functions
         if (
-          node.declaration &&
-          node.declaration.type === "FunctionDeclaration"
+          current.type === "FunctionDeclaration" ||
+          (current.type === "FunctionExpression" &&
+            current.parent.type !== "MethodDefinition")
         ) {
-          const name = node.declaration.id && node.declaration.id.name;
-          if (name && checkFunctionsSet.has(name)) {
-            checkFunctionForEnforcedCalls(node.declaration);
-          }
+          return null;
         }
-      },
+        current = current.parent;
+      }
+
+      return current
+        ? findClassMethod(current.parent, callee.property.name, false)
+        : null;
+    }
+
+    // Helper.check() for a static method of a local class
+    if (callee.object.type === "Identifier") {
+      const variable = findVariable(node, callee.object.name);
+      const def = variable && variable.defs[0];
+      if (def && def.type === "ClassName") {
+        return findClassMethod(def.node, callee.property.name, true);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve a call to a function exported by an imported module
+   * Handles: helper() for named and default imports, auth.helper() for
+   * namespace imports
+   * @param {Node} node - CallExpression node
+   * @returns {{node: Node, module: object}|null}
+   */
+  function resolveImportedFunction(node) {
+    const { callee } = node;
+
+    // auth.helper()
+    if (
+      callee.type === "MemberExpression" &&
+      !callee.computed &&
+      callee.property.type === "Identifier"
+    ) {
+      return callee.object.type === "Identifier"
+        ? resolveImportedReference(callee.object, callee.property.name)
+        : null;
+    }
+
+    return callee.type === "Identifier"
+      ? resolveImportedReference(callee, null)
+      : null;
+  }
+
+  /**
+   * Resolve a reference to a function exported by an imported module
+   * @param {Node} identifier - Identifier node of the import binding
+   * @param {string|null} exportName - Export of a namespace import, or null
+   *   for named and default imports
+   * @returns {{node: Node, module: object}|null}
+   */
+  function resolveImportedReference(identifier, exportName) {
+    const variable = findVariable(identifier, identifier.name);
+    const def = variable && variable.defs[0];
+    if (!def || def.type !== "ImportBinding") {
+      return null;
+    }
+
+    const specifier = def.node;
+    let name = exportName;
+    if (name) {
+      // Member calls only resolve through namespace imports
+      if (specifier.type !== "ImportNamespaceSpecifier") {
+        return null;
+      }
+    } else if (specifier.type === "ImportSpecifier") {
+      name = specifier.imported.name ?? specifier.imported.value;
+    } else if (specifier.type === "ImportDefaultSpecifier") {
+      name = "default";
+    } else {
+      return null;
+    }
+
+    const target = loadImportedModule(
+      context.filename,
+      def.parent.source.value,
+      importOptions,
+    );
+    return target ? findExportedFunction(target, name, importOptions) : null;
+  }
+
+  /**
+   * Resolve a call to the helper function it calls
+   * @param {Node} node - CallExpression node
+   * @param {object|null} module - Imported module containing the call, or
+   *   null for the linted file
+   * @returns {{node: Node, module: object|null}|null}
+   */
+  function resolveHelperFunction(node, module) {
+    // Within an imported module, calls resolve through its own declarations
+    if (module) {
+      return resolveModuleCall(module, node, importOptions);
+    }
+
+    const local = followLocalCalls ? resolveLocalFunction(node) : null;
+    if (local) {
+      return { node: local, module: null };
+    }
+
+    return followImports ? resolveImportedFunction(node) : null;
+  }
+
+  /**
+   * Get the enforced functions called by the helper function a call resolves to
+   * @param {Node} node - CallExpression node
+   * @param {number} [depth] - Remaining helper functions to follow
+   * @param {Set<Node>} [visiting] - Functions being followed, to break cycles
+   * @param {object|null} [module] - Imported module containing the call
+   * @returns {string[]} - Enforced function names satisfied by the helper
+   */
+  function getFollowedFunctions(
+    node,
+    depth = maxFollowDepth,
+    visiting = new Set(),
+    module = null,
+  ) {
+    if ((!followLocalCalls && !followImports) || depth <= 0) {
+      return [];
+    }
 
-      // Handle: export default function load() {}
-      ExportDefaultDeclaration(node) {
-        if (checkFunctionsSet.size === 0) {
-          return;
+    const target = resolveHelperFunction(node, module);
+    if (!target || visiting.has(target.node)) {
+      return [];
+    }
+
+    visiting.add(target.node);
+    const satisfied = new Set();
+    for (const call of getDirectCalls(target.node, guardsOnly)) {
+      const called = getCalledEnforcedFunctions(
+        call,
+        null,
+        depth - 1,
+        visiting,
+        target.module,
+      );
+      for (const fn of called) {
+        satisfied.add(fn);
+      }
+    }
+    visiting.delete(target.node);
+
+    return [...satisfied];
+  }
+
+  /**
+   * Check if an argument references a parameter of the checked function,
+   * or a property of it, e.g. event or event.locals for (event) => {}
+   * @param {Node|null} funcNode - The checked function, or null for calls
+   *   within followed helpers, which can't be bound to its parameters
+   * @param {Node} arg - Argument node
+   * @param {number} index - Parameter index
+   * @returns {boolean}
+   */
+  function referencesParameter(funcNode, arg, index) {
+    const param = funcNode && funcNode.params[index];
+    const root = getArgumentRootIdentifier(arg);
+    if (!param || !root) {
+      return false;
+    }
+
+    // Destructured parameters declare several variables within the pattern
+    const variable = findVariable(root, root.name);
+    return Boolean(
+      variable &&
+      variable.defs.some(
+        (def) =>
+          def.type === "Parameter" &&
+          def.node === funcNode &&
+          def.name.range[0] >= param.range[0] &&
+          def.name.range[1] <= param.range[1],
+      ),
+    );
+  }
+
+  /**
+   * Check if a call meets the argument constraints configured for an
+   * enforced function
+   * @param {string} fn - Enforced function name
+   * @param {Node} node - CallExpression node
+   * @param {Node|null} funcNode - The checked function containing the call
+   * @returns {boolean} - True if no constraints are configured or they're met
+   */
+  function matchesEnforcedArguments(fn, node, funcNode) {
+    const entry = argumentConstraints.get(fn);
+    return (
+      !entry ||
+      matchesArgumentConstraints(node, entry, (arg, index) =>
+        referencesParameter(funcNode, arg, index),
+      )
+    );
+  }
+
+  /**
+   * Check if a call's result is used rather than discarded
+   * Used results are tested by if statements, loops, ternaries and logical
+   * operators, returned, thrown, or stored in a variable that is used in
+   * turn. Passing the result to another function doesn't guard anything.
+   * - if (!(await hasPermission())) throw error(403)
+   * - const ok = await hasPermission(); if (!ok) return
+   * @param {Node} node - CallExpression or Identifier node
+   * @param {object|null} [module] - Imported module containing the node
+   * @returns {boolean}
+   */
+  function isResultUsed(node, module) {
+    let current = node;
+    let parent = node.parent;
+
+    while (
+      parent.type === "AwaitExpression" ||
+      parent.type === "ChainExpression" ||
+      parent.type === "BinaryExpression" ||
+      (parent.type === "LogicalExpression" && parent.right === current) ||
+      (parent.type === "UnaryExpression" && parent.operator === "!") ||
+      parent.type === "TSAsExpression" ||
+      parent.type === "TSNonNullExpression" ||
+      parent.type === "TSSatisfiesExpression"
+    ) {
+      current = parent;
+      parent = parent.parent;
+    }
+
+    switch (parent.type) {
+      // hasPermission() || error(403)
+      case "LogicalExpression":
+      case "ReturnStatement":
+      case "ThrowStatement":
+        return true;
+      case "IfStatement":
+      case "WhileStatement":
+      case "DoWhileStatement":
+      case "ForStatement":
+      case "ConditionalExpression":
+        return parent.test === current;
+      case "ArrowFunctionExpression":
+        return parent.body === current;
+      case "VariableDeclarator": {
+        if (parent.init !== current || parent.id.type !== "Identifier") {
+          return false;
+        }
+
+        // Imported modules aren't scope analyzed
+        if (module) {
+          return getModuleVariableReads(parent).some((identifier) =>
+            isResultUsed(identifier, module),
+          );
         }
 
+        const [variable] = context.sourceCode.getDeclaredVariables(parent);
+        return variable.references.some(
+          (reference) =>
+            reference.isRead() && isResultUsed(reference.identifier),
+        );
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Get calls to enforced functions that don't count because of their
+   * arguments or because their result is discarded, with the report for each
+   * @param {Node} funcNode - ArrowFunctionExpression or FunctionExpression/FunctionDeclaration
+   * @returns {{name: string, node: Node, messageId: string, data: object}[]} -
+   *   Calls, named by the enforced function
+   */
+  function getRejectedEnforcedCalls(funcNode) {
+    if (argumentConstraints.size === 0 && !mustUseResult) {
+      return [];
+    }
+
+    return getDirectCalls(funcNode, guardsOnly).flatMap((call) => {
+      const name = resolveCallName(call);
+      const rejected = [];
+
+      for (const fn of enforce) {
         if (
-          node.declaration &&
-          node.declaration.type === "FunctionDeclaration"
+          !enforceMatchers.get(fn)(name) ||
+          !matchesImportSource(enforceSources, fn, call.node)
         ) {
-          const name = node.declaration.id && node.declaration.id.name;
-          if (name && checkFunctionsSet.has(name)) {
-            checkFunctionForEnforcedCalls(node.declaration);
+          continue;
+        }
+
+        if (!matchesEnforcedArguments(fn, call.node, funcNode)) {
+          rejected.push({
+            name: fn,
+            node: call.node,
+            messageId: "invalidArguments",
+            data: {
+              name: fn,
+              expected: formatArgumentConstraints(
+                argumentConstraints.get(fn),
+                funcNode,
+              ),
+            },
+          });
+        } else if (mustUseResult && !isResultUsed(call.node)) {
+          rejected.push({
+            name: fn,
+            node: call.node,
+            messageId: "resultDiscarded",
+            data: { name: fn },
+          });
+        }
+      }
+
+      return rejected;
+    });
+  }
+
+  /**
+   * Get the enforced functions a call satisfies, directly or through helpers
+   * @param {{name: string, node: Node}} call - Collected call
+   * @param {Node|null} funcNode - The checked function containing the call,
+   *   or null for calls within followed helpers
+   * @param {number} [depth] - Remaining helper functions to follow
+   * @param {Set<Node>} [visiting] - Functions being followed, to break cycles
+   * @param {object|null} [module] - Imported module containing the call
+   * @returns {string[]} - Enforced function names
+   */
+  function getCalledEnforcedFunctions(call, funcNode, depth, visiting, module) {
+    const name = resolveCallName(call, module);
+    const direct = enforce.filter(
+      (fn) =>
+        (enforceMatchers.get(fn)(name) &&
+          matchesImportSource(enforceSources, fn, call.node, module) &&
+          matchesEnforcedArguments(fn, call.node, funcNode) &&
+          (!mustUseResult || isResultUsed(call.node, module))) ||
+        callSatisfiesThroughGuard(name, fn, guards),
+    );
+    if (direct.length > 0) {
+      return direct;
+    }
+    return getFollowedFunctions(call.node, depth, visiting, module);
+  }
+
+  /**
+   * Get suggestions inserting a call to each enforced function that is
+   * missing, if enabled with the suggest option
+   * The call comes from the entry's suggestion template, or defaults to
+   * hasPermission(), awaited in async functions. Entries with patterns or
+   * argument constraints need a template. Entries imported from a module
+   * also import the function if it isn't in scope.
+   * @param {Node} funcNode - ArrowFunctionExpression or FunctionExpression/FunctionDeclaration
+   * @param {{name: string}[]} calls - Enforced calls found in the function
+   * @returns {object[]} - ESLint suggestions
+   */
+  function getInsertCallSuggestions(funcNode, calls) {
+    if (!suggest) {
+      return [];
+    }
+
+    return enforceEntries.flatMap((entry) => {
+      if (
+        calls.some((call) => call.name === entry.name) ||
+        (!entry.suggestion && isPattern(entry.name)) ||
+        (!entry.suggestion && (entry.args || entry.minArgs))
+      ) {
+        return [];
+      }
+
+      // Call the function through an existing import of its module, or
+      // import it unless something else by that name is in scope
+      const suggestedImport = getSuggestedImport(entry);
+      let callee = entry.name;
+      let binding = null;
+      let needsImport = false;
+      if (suggestedImport) {
+        const { from, named } = suggestedImport;
+        binding = findImportBinding(context.sourceCode, from, named) ?? named;
+        needsImport = binding === named && !findVariable(funcNode, named);
+
+        // auth.check with auth imported keeps its members: authz.check()
+        const [root, ...members] = entry.name.split(".");
+        callee = root === named ? [binding, ...members].join(".") : binding;
+      }
+
+      let template =
+        entry.suggestion ?? `${funcNode.async ? "await " : ""}${callee}()`;
+      if (entry.suggestion && suggestedImport) {
+        template = replaceIdentifier(template, suggestedImport.named, binding);
+      }
+      const call = formatSuggestedCall(template, funcNode);
+      if (!call) {
+        return [];
+      }
+
+      return [
+        {
+          messageId: "suggestCall",
+          data: { call },
+          fix(fixer) {
+            const { sourceCode } = context;
+            const fixes = [
+              insertStatementFix(fixer, sourceCode, funcNode, `${call};`),
+            ];
+
+            if (needsImport) {
+              fixes.push(
+                addImportFix(
+                  fixer,
+                  sourceCode,
+                  suggestedImport.named,
+                  suggestedImport.from,
+                ),
+              );
+            }
+
+            return fixes;
+          },
+        },
+      ];
+    });
+  }
+
+  /**
+   * Report missing enforced calls, with the configured message if any
+   * @param {Node} node - Node to report
+   * @param {string} missingMessageId - Message used without a configured one
+   * @param {Object<string, string>} data - Message placeholder values
+   * @param {object[]} suggest - Suggestions inserting the missing calls
+   */
+  function reportMissing(node, missingMessageId, data, suggest) {
+    context.report({
+      node,
+      ...(message
+        ? {
+            messageId: "customMissing",
+            data: { message: formatCustomMessage(message, data) },
           }
+        : { messageId: missingMessageId, data }),
+      suggest,
+    });
+  }
+
+  /**
+   * Check a function node for enforced calls and report if missing
+   * @param {Node} funcNode - ArrowFunctionExpression or FunctionExpression/FunctionDeclaration
+   * @returns {boolean} - True if missing enforced calls were reported
+   */
+  function checkFunctionForEnforcedCalls(funcNode) {
+    // Empty functions are allowed
+    if (isEmptyCallback(funcNode)) {
+      return false;
+    }
+
+    // Only functions making a triggering call are enforced when conditional
+    const triggerCalls = when
+      ? getAllCalls(funcNode).filter(isTriggerCall)
+      : [];
+    if (when && triggerCalls.length === 0) {
+      return false;
+    }
+
+    // Get the enforced functions called in the function, directly or
+    // through guards and helper functions, named as configured
+    const calls = getDirectCalls(funcNode, guardsOnly).flatMap((call) =>
+      getCalledEnforcedFunctions(call, funcNode).map((fn) => ({
+        name: fn,
+        node: call.node,
+      })),
+    );
+
+    // Check if enforced calls are present
+    if (!checkEnforcedCalls(calls, enforce, requireAll)) {
+      const rejectedCalls = getRejectedEnforcedCalls(funcNode);
+      for (const call of rejectedCalls) {
+        context.report({
+          node: call.node,
+          messageId: call.messageId,
+          data: call.data,
+        });
+      }
+
+      // Calls with the wrong arguments or a discarded result are reported
+      // instead, unless other enforced calls are missing as well
+      if (
+        rejectedCalls.length > 0 &&
+        checkEnforcedCalls([...calls, ...rejectedCalls], enforce, requireAll)
+      ) {
+        return false;
+      }
+
+      // Point conditional reports at the calls requiring enforcement
+      if (triggerCalls.length > 0) {
+        for (const node of triggerCalls) {
+          reportMissing(
+            node,
+            "missingForTrigger",
+            {
+              trigger: getCallExpressionName(node),
+              functions: functionsList,
+            },
+            getInsertCallSuggestions(funcNode, calls),
+          );
         }
+        return true;
+      }
+
+      reportMissing(
+        funcNode,
+        messageId,
+        { functions: functionsList },
+        getInsertCallSuggestions(funcNode, calls),
+      );
+      return true;
+    }
+
+    if (position !== "anywhere") {
+      checkEnforcedCallPosition(funcNode, calls);
+    }
+
+    // Checked once its code path has been analyzed, or right away for
+    // callbacks declared before being passed
+    if (allPaths) {
+      const analyzed = analyzedCodePaths.get(funcNode);
+      if (analyzed) {
+        checkCodePathExits(analyzed.codePath, funcNode, analyzed.info);
+      } else {
+        pathCheckedFunctions.add(funcNode);
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Get the enforced functions a middleware argument of a builder chain
+   * satisfies, e.g. authMiddleware for .use(authMiddleware) or
+   * requireRole for .use(requireRole("admin"))
+   * @param {Node} arg - Argument node of a middleware link
+   * @returns {string[]} - Enforced function names
+   */
+  function getMiddlewareEnforcedFunctions(arg) {
+    const node = unwrapTypeExpression(arg);
+    if (node.type === "CallExpression") {
+      return getCalledEnforcedFunctions(
+        { name: getCallExpressionName(node), node },
+        null,
+      );
+    }
+
+    const name = resolveCallName({ name: getReferenceName(node), node });
+    if (!name) {
+      return [];
+    }
+
+    return enforce.filter(
+      (fn) =>
+        (enforceMatchers.get(fn)(name) &&
+          matchesImportSource(enforceSources, fn, node)) ||
+        callSatisfiesThroughGuard(name, fn, guards),
+    );
+  }
+
+  /**
+   * Check if earlier middleware links of a builder chain satisfy the
+   * enforced calls, so the callback doesn't need to make them
+   * @param {Node[]} middleware - Arguments of middleware links
+   * @returns {boolean}
+   */
+  function isSatisfiedByMiddleware(middleware) {
+    const calls = middleware.flatMap((arg) =>
+      getMiddlewareEnforcedFunctions(arg).map((fn) => ({
+        name: fn,
+        node: arg,
+      })),
+    );
+    return calls.length > 0 && checkEnforcedCalls(calls, enforce, requireAll);
+  }
+
+  /**
+   * Check a callback, export or decorated method, e.g. query(handler)
+   * Each function is checked once, even when it is also exported or passed
+   * by reference, and missing enforced calls are reported at each call site
+   * passing it as well.
+   * @param {Node} funcNode - Checked function, or the one a reference resolves to
+   * @param {{reference?: Node, middleware?: Node[]}} details - Identifier
+   *   argument of callbacks passed by reference, and middleware of chains
+   */
+  function checkCallback(funcNode, { reference, middleware = [] }) {
+    if (isSatisfiedByMiddleware(middleware)) {
+      return;
+    }
+
+    if (!checkedFunctions.has(funcNode)) {
+      checkedFunctions.set(funcNode, checkFunctionForEnforcedCalls(funcNode));
+    }
+
+    if (reference && checkedFunctions.get(funcNode)) {
+      reportMissing(reference, messageId, { functions: functionsList }, []);
+    }
+  }
+
+  /**
+   * Check a callback imported from another module, e.g. query(handler) for
+   * import { handler } from "./handlers", reporting at the call site
+   * Only the presence of enforced calls is checked, since the definition
+   * isn't part of the linted file.
+   * @param {Node} reference - Identifier argument
+   * @param {{middleware: Node[]}} details - Middleware of chains
+   */
+  function checkImportedCallback(reference, details) {
+    // Triggering calls can't be matched by import source in other modules
+    if (when || isSatisfiedByMiddleware(details.middleware)) {
+      return;
+    }
+
+    const target = resolveImportedReference(reference, null);
+    if (!target || isEmptyCallback(target.node)) {
+      return;
+    }
+
+    const calls = getDirectCalls(target.node, guardsOnly).flatMap((call) =>
+      getCalledEnforcedFunctions(
+        call,
+        null,
+        maxFollowDepth,
+        new Set([target.node]),
+        target.module,
+      ).map((fn) => ({ name: fn, node: call.node })),
+    );
+
+    if (!checkEnforcedCalls(calls, enforce, requireAll)) {
+      reportMissing(reference, messageId, { functions: functionsList }, []);
+    }
+  }
+
+  /**
+   * Report returns, throws and implicit ends reachable without enforced calls
+   * @param {CodePath} codePath - Code path of a checked function
+   * @param {Node} funcNode - ArrowFunctionExpression or FunctionExpression/FunctionDeclaration
+   * @param {object} info - Calls and exits recorded for the code path
+   */
+  function checkCodePathExits(codePath, funcNode, info) {
+    const satisfied = getSatisfiedOnAllPaths(
+      codePath,
+      info.calledInSegments,
+      enforce,
+    );
+    const isGuarded = (segment) =>
+      hasRequiredFunctions(satisfied.get(segment.id), enforce, requireAll);
+    const exitSegments = new Set();
+
+    for (const { node, segments } of info.exits) {
+      segments.forEach((segment) => exitSegments.add(segment));
+
+      if (!segments.every(isGuarded)) {
+        context.report({
+          node,
+          messageId: "unguardedExit",
+          data: {
+            exit: node.type === "ThrowStatement" ? "throw" : "return",
+            functions: functionsList,
+          },
+        });
+      }
+    }
+
+    // Falling off the end of the callback is an implicit return
+    const implicitEnds = codePath.finalSegments.filter(
+      (segment) => segment.reachable && !exitSegments.has(segment),
+    );
+
+    if (!implicitEnds.every(isGuarded)) {
+      context.report({
+        node: funcNode,
+        messageId: "unguardedEnd",
+        data: {
+          functions: functionsList,
+        },
+      });
+    }
+  }
+
+  /**
+   * Record a return or throw statement for code path checking
+   * @param {Node} node - ReturnStatement or ThrowStatement
+   */
+  function recordExitStatement(node) {
+    if (codePathInfo && codePathInfo.recorded) {
+      codePathInfo.exits.push({
+        node,
+        segments: [...codePathInfo.currentSegments],
+      });
+    }
+  }
+
+  /**
+   * Check that enforced calls happen before other statements or side effects
+   * @param {Node} funcNode - ArrowFunctionExpression or FunctionExpression/FunctionDeclaration
+   * @param {{name: string, node: Node}[]} calls - Calls collected from the function
+   */
+  function checkEnforcedCallPosition(funcNode, calls) {
+    const earlyCalls =
+      position === "first"
+        ? getLeadingEnforcedCalls(funcNode, calls, enforce)
+        : getEnforcedCallsBeforeSideEffects(funcNode, calls, enforce);
+
+    if (checkEnforcedCalls(earlyCalls, enforce, requireAll)) {
+      return;
+    }
+
+    // Report at the first enforced call, which happens too late
+    const lateCall = calls.find((call) => isEnforcedCall(call, enforce));
+    context.report({
+      node: lateCall.node,
+      messageId: position === "first" ? "notFirst" : "calledAfterSideEffect",
+      data: {
+        functions: functionsList,
       },
-    };
+    });
+  }
+
+  return {
+    onCodePathStart(codePath, node) {
+      codePathInfo = {
+        upper: codePathInfo,
+        node,
+        // Callbacks passed by reference may only be checked after their
+        // code path, so named functions are recorded as well
+        recorded:
+          pathCheckedFunctions.has(node) || (allPaths && isNamedFunction(node)),
+        currentSegments: new Set(),
+        // Enforced function names called within each segment
+        calledInSegments: new Map(),
+        // Explicit return and throw statements with their segments
+        exits: [],
+      };
+    },
+
+    onCodePathEnd(codePath, node) {
+      if (pathCheckedFunctions.has(node)) {
+        checkCodePathExits(codePath, node, codePathInfo);
+      } else if (codePathInfo.recorded) {
+        analyzedCodePaths.set(node, { codePath, info: codePathInfo });
+      }
+
+      codePathInfo = codePathInfo.upper;
+    },
+
+    onCodePathSegmentStart(segment) {
+      codePathInfo.currentSegments.add(segment);
+    },
+
+    onCodePathSegmentEnd(segment) {
+      codePathInfo.currentSegments.delete(segment);
+    },
+
+    "CallExpression:exit"(node) {
+      if (!codePathInfo || !codePathInfo.recorded) {
+        return;
+      }
+
+      if (guardsOnly && !isGuardPosition(node)) {
+        return;
+      }
+
+      let calledFunctions = getCalledEnforcedFunctions(
+        { name: getCallExpressionName(node), node },
+        codePathInfo.node,
+      );
+
+      // Any one enforced call satisfies the path when not all are required
+      if (!requireAll && calledFunctions.length > 0) {
+        calledFunctions = enforce;
+      }
+
+      for (const segment of codePathInfo.currentSegments) {
+        const called = codePathInfo.calledInSegments.get(segment.id) || [];
+        codePathInfo.calledInSegments.set(segment.id, [
+          ...called,
+          ...calledFunctions,
+        ]);
+      }
+    },
+
+    "ReturnStatement:exit": recordExitStatement,
+    "ThrowStatement:exit": recordExitStatement,
+
+    ...createCheckVisitors(
+      context,
+      { check: checkEntries, checkFunctions, checkDecorated },
+      checkCallback,
+      followImports ? checkImportedCallback : undefined,
+    ),
+  };
+}
+
+export default {
+  meta: {
+    type: "problem",
+    docs: {
+      description:
+        "Enforce specific function calls within callback arguments of designated context functions",
+      category: "Best Practices",
+      recommended: false,
+    },
+    hasSuggestions: true,
+    // One options object per set of checked contexts
+    schema: {
+      type: "array",
+      items: optionsSchema,
+    },
+    messages: {
+      missingAtLeastOne: "Callback must call at least one of: {{functions}}",
+      missingAll: "Callback must call all of: {{functions}}",
+      notFirst: "{{functions}} must be called before any other statement",
+      calledAfterSideEffect:
+        "{{functions}} must be called before any other call, await or return",
+      unguardedExit:
+        "This {{exit}} can be reached without calling {{functions}}",
+      unguardedEnd: "Callback can complete without calling {{functions}}",
+      invalidArguments: "{{name}} must be called with {{expected}}",
+      resultDiscarded: "result of {{name}} is discarded",
+      missingForTrigger: "{{trigger}} requires {{functions}}",
+      suggestCall: "Call {{call}} at the start of the function",
+      customMissing: "{{message}}",
+    },
+  },
+  create(context) {
+    const configs = context.options.length > 0 ? context.options : [{}];
+
+    return mergeVisitors(
+      configs.map((options) => createContextVisitors(context, options)),
+    );
   },
 };
@@ -0,0 +1,108 @@
+import {
+  createCallResolver,
+  getCallExpressionName,
+  getDirectCalls,
+  nameEntrySchema,
+  normalizeEntry,
+} from "../utils/calls.js";
+import {
+  checkSchemaProperties,
+  createCheckVisitors,
+} from "../utils/selectors.js";
+
+export default {
+  meta: {
+    type: "problem",
+    docs: {
+      description:
+        "Enforce the order of sequences of function calls within callback arguments of designated context functions",
+      category: "Best Practices",
+      recommended: false,
+    },
+    schema: [
+      {
+        type: "object",
+        properties: {
+          ...checkSchemaProperties,
+          sequences: {
+            type: "array",
+            items: {
+              type: "array",
+              items: nameEntrySchema,
+              minItems: 2,
+            },
+            minItems: 1,
+          },
+        },
+        required: ["sequences"],
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      missingPrevious: "{{name}} is called without calling {{previous}} first",
+      calledBeforePrevious: "{{name}} is called before {{previous}}",
+    },
+  },
+  create(context) {
+    const options = context.options[0] || {};
+    const {
+      check: checkOption = [],
+      checkFunctions = [],
+      checkDecorated = [],
+      sequences: sequencesOption = [],
+    } = options;
+
+    const { createCallNodeMatcher } = createCallResolver(context);
+    const sequences = sequencesOption.map((sequence) =>
+      sequence.map(normalizeEntry).map((entry) => ({
+        name: entry.name,
+        matches: createCallNodeMatcher([entry]),
+      })),
+    );
+
+    /**
+     * Report calls in a checked function that don't follow the call before
+     * them in a sequence
+     * @param {Node} funcNode - ArrowFunctionExpression or FunctionExpression/FunctionDeclaration
+     */
+    function checkFunctionForCallOrder(funcNode) {
+      const calls = getDirectCalls(funcNode).map((call) => call.node);
+
+      for (const sequence of sequences) {
+        for (let index = 1; index < sequence.length; index++) {
+          const previous = sequence[index - 1];
+          const previousCalls = calls.filter(previous.matches);
+
+          for (const node of calls.filter(sequence[index].matches)) {
+            // Arguments are evaluated first, so calls finishing earlier run earlier
+            if (previousCalls.some((call) => call.range[1] < node.range[1])) {
+              continue;
+            }
+
+            context.report({
+              node,
+              messageId:
+                previousCalls.length > 0
+                  ? "calledBeforePrevious"
+                  : "missingPrevious",
+              data: {
+                name: getCallExpressionName(node),
+                previous: previous.name,
+              },
+            });
+          }
+        }
+      }
+    }
+
+    return createCheckVisitors(
+      context,
+      {
+        check: checkOption.map(normalizeEntry),
+        checkFunctions,
+        checkDecorated,
+      },
+      checkFunctionForCallOrder,
+    );
+  },
+};
@@ -0,0 +1,694 @@
+import { createMatcher, isPattern } from "./patterns.js";
+
+/**
+ * Unwrap TypeScript type assertion expressions to get the underlying expression
+ * Handles: TSSatisfiesExpression, TSAsExpression, TSTypeAssertion
+ * @param {Node} node - Any expression node
+ * @returns {Node} - The unwrapped expression
+ */
+export function unwrapTypeExpression(node) {
+  if (!node) {
+    return node;
+  }
+  // Handle TypeScript satisfies, as, and type assertion expressions
+  if (
+    node.type === "TSSatisfiesExpression" ||
+    node.type === "TSAsExpression" ||
+    node.type === "TSTypeAssertion"
+  ) {
+    return unwrapTypeExpression(node.expression);
+  }
+  return node;
+}
+
+/**
+ * Unwrap optional chains and TypeScript non-null assertions
+ * @param {Node} node - Any expression node
+ * @returns {Node} - The unwrapped expression
+ */
+export function unwrapChainExpression(node) {
+  if (
+    node &&
+    (node.type === "ChainExpression" || node.type === "TSNonNullExpression")
+  ) {
+    return unwrapChainExpression(node.expression);
+  }
+  return node;
+}
+
+/**
+ * Get the name of a member expression property
+ * @param {Node} node - MemberExpression node
+ * @returns {string|null} - Property name, or null for dynamic keys
+ */
+function getPropertyName(node) {
+  const { property } = node;
+
+  // auth.hasPermission
+  if (!node.computed) {
+    return property.type === "Identifier" ? property.name : null;
+  }
+
+  // auth["hasPermission"]
+  if (property.type === "Literal" && typeof property.value === "string") {
+    return property.value;
+  }
+
+  // auth[`hasPermission`]
+  if (
+    property.type === "TemplateLiteral" &&
+    property.expressions.length === 0
+  ) {
+    return property.quasis[0].value.cooked;
+  }
+
+  return null;
+}
+
+/**
+ * Get the dotted name of a callee expression
+ * @param {Node} node - Callee or callee object node
+ * @returns {string|null} - Name or null
+ */
+function getCalleeName(node) {
+  const current = unwrapChainExpression(node);
+
+  switch (current.type) {
+    case "Identifier":
+      return current.name;
+
+    case "ThisExpression":
+      return "this";
+
+    case "Super":
+      return "super";
+
+    // getAuth().hasPermission
+    case "CallExpression": {
+      const name = getCalleeName(current.callee);
+      return name ? `${name}()` : null;
+    }
+
+    case "MemberExpression": {
+      const object = getCalleeName(current.object);
+      const property = getPropertyName(current);
+      return object && property ? `${object}.${property}` : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Extract the full name from a CallExpression node
+ * e.g. "query", "query.batch", "auth.hasPermission" for auth?.["hasPermission"](),
+ * "this.auth.check" and "getAuth().hasPermission"
+ * @param {Node} node - CallExpression node
+ * @returns {string|null} - Full function name or null
+ */
+export function getCallExpressionName(node) {
+  if (node.type !== "CallExpression") {
+    return null;
+  }
+
+  return getCalleeName(node.callee);
+}
+
+/**
+ * Get the dotted name of a function reference that isn't called, e.g.
+ * "authMiddleware" or "auth.middleware" for .use(auth.middleware)
+ * @param {Node} node - Identifier or MemberExpression node
+ * @returns {string|null} - Name or null
+ */
+export function getReferenceName(node) {
+  return getCalleeName(node);
+}
+
+/**
+ * Split a builder chain into its root and method calls
+ * e.g. for protectedProcedure.use(auth).input(schema).mutation(fn), the root
+ * "protectedProcedure" and the use, input and mutation calls
+ * @param {Node} node - CallExpression node of the last method call
+ * @returns {{root: string, rootNode: Node, links: {method: string|null, node: Node}[]}|null} -
+ *   Links in call order, or null if the callee isn't a method call
+ */
+export function getCallChain(node) {
+  const links = [];
+  let current = node;
+
+  while (current.type === "CallExpression") {
+    const callee = unwrapChainExpression(current.callee);
+    if (callee.type !== "MemberExpression") {
+      break;
+    }
+
+    links.unshift({ method: getPropertyName(callee), node: current });
+    current = unwrapTypeExpression(unwrapChainExpression(callee.object));
+  }
+
+  const root = getCalleeName(current);
+  return links.length > 0 && root ? { root, rootNode: current, links } : null;
+}
+
+/**
+ * Get the root identifier of a call's callee or of a function reference
+ * e.g. hasPermission for hasPermission(), auth for auth.check.hasPermission()
+ * and getAuth for getAuth().hasPermission()
+ * @param {Node} node - CallExpression node, or Identifier or
+ *   MemberExpression node of a reference
+ * @returns {Node|null} - Identifier node or null
+ */
+function getCalleeRootIdentifier(node) {
+  let current = unwrapChainExpression(
+    node.type === "CallExpression" ? node.callee : node,
+  );
+
+  while (
+    current.type === "MemberExpression" ||
+    current.type === "CallExpression"
+  ) {
+    current = unwrapChainExpression(
+      current.type === "MemberExpression" ? current.object : current.callee,
+    );
+  }
+
+  return current.type === "Identifier" ? current : null;
+}
+
+/**
+ * Check if a node is a function (nested functions are not traversed)
+ * @param {Node} node - Any node
+ * @returns {boolean}
+ */
+function isFunctionNode(node) {
+  return (
+    node.type === "ArrowFunctionExpression" ||
+    node.type === "FunctionExpression" ||
+    node.type === "FunctionDeclaration"
+  );
+}
+
+/**
+ * Visit every node within a function body, without entering nested functions
+ * @param {Node} node - ArrowFunctionExpression, FunctionExpression, or FunctionDeclaration
+ * @param {Function} visitor - Called with each visited node
+ */
+export function visitFunctionBody(node, visitor) {
+  /**
+   * Recursively visit a node and its children
+   * @param {Node} current - Any node
+   */
+  function visit(current) {
+    visitor(current);
+
+    if (isFunctionNode(current)) {
+      return;
+    }
+
+    for (const key of Object.keys(current)) {
+      if (key === "parent") {
+        continue;
+      }
+
+      const value = current[key];
+      const children = Array.isArray(value) ? value : [value];
+
+      for (const child of children) {
+        if (child && typeof child.type === "string") {
+          visit(child);
+        }
+      }
+    }
+  }
+
+  visit(node.body);
+}
+
+/**
+ * Check if a call's result is used as a guard
+ * Guard positions are statement roots, declarator initializers, returns, throws
+ * and the tests of if statements, loops and ternaries, including through
+ * await, negation and logical operators:
+ * - if (!hasPermission()) throw error(403)
+ * - const ok = user && (await hasPermission())
+ * @param {Node} node - CallExpression node
+ * @returns {boolean}
+ */
+export function isGuardPosition(node) {
+  let current = node;
+  let parent = node.parent;
+
+  while (
+    parent.type === "AwaitExpression" ||
+    parent.type === "ChainExpression" ||
+    parent.type === "LogicalExpression" ||
+    (parent.type === "UnaryExpression" && parent.operator === "!") ||
+    parent.type === "TSAsExpression" ||
+    parent.type === "TSNonNullExpression" ||
+    parent.type === "TSSatisfiesExpression"
+  ) {
+    current = parent;
+    parent = parent.parent;
+  }
+
+  switch (parent.type) {
+    case "ExpressionStatement":
+    case "ReturnStatement":
+    case "ThrowStatement":
+      return true;
+    case "VariableDeclarator":
+      return parent.init === current;
+    case "IfStatement":
+    case "WhileStatement":
+    case "DoWhileStatement":
+    case "ForStatement":
+    case "ConditionalExpression":
+      return parent.test === current;
+    case "ArrowFunctionExpression":
+      return parent.body === current;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Get all function calls in a callback body, including those nested in
+ * expressions and blocks, but not those inside nested functions
+ * @param {Node} node - ArrowFunctionExpression, FunctionExpression, or FunctionDeclaration
+ * @param {boolean} [guardsOnly=false] - Only collect calls in guard positions
+ * @returns {{name: string|null, node: Node}[]} - Calls in source order, with
+ *   a null name when the callee can't be named, e.g. auth[key]()
+ */
+export function getDirectCalls(node, guardsOnly = false) {
+  const calls = [];
+
+  visitFunctionBody(node, (current) => {
+    if (current.type !== "CallExpression") {
+      return;
+    }
+
+    if (guardsOnly && !isGuardPosition(current)) {
+      return;
+    }
+
+    calls.push({ name: getCallExpressionName(current), node: current });
+  });
+
+  return calls;
+}
+
+/**
+ * Get all calls within a function, including those inside nested functions
+ * @param {Node} node - ArrowFunctionExpression, FunctionExpression, or FunctionDeclaration
+ * @returns {Node[]} - CallExpression nodes
+ */
+export function getAllCalls(node) {
+  const calls = [];
+
+  visitFunctionBody(node, (current) => {
+    if (current.type === "CallExpression") {
+      calls.push(current);
+    } else if (isFunctionNode(current)) {
+      calls.push(...getAllCalls(current));
+    }
+  });
+
+  return calls;
+}
+
+/**
+ * Get the function name of a call, without its namespace
+ * e.g. hasPermission for permissions.hasPermission or getAuth().hasPermission
+ * @param {string} call - The actual function call name
+ * @returns {string}
+ */
+function getFunctionPart(call) {
+  return call.slice(call.lastIndexOf(".") + 1);
+}
+
+/**
+ * Check if a call matches an enforced function name
+ * Supports both direct matches and namespace import patterns:
+ * - "hasPermission" matches "hasPermission" (direct)
+ * - "hasPermission" matches "this.hasPermission" (leading this or super)
+ * - "hasPermission" matches "permissions.hasPermission" (namespace import)
+ * - "hasPermission" matches "this.auth.hasPermission" and "getAuth().hasPermission"
+ * - "auth.check" matches "auth.check" (direct member expression)
+ * - "auth.check" matches "ctx.locals.auth.check" and "this.auth.check" (dotted suffix)
+ * @param {string|null} call - The actual function call name
+ * @param {string} enforce - The required function name
+ * @returns {boolean} - True if call satisfies the enforcement
+ */
+export function callMatchesEnforced(call, enforce) {
+  if (!call) {
+    return false;
+  }
+
+  // Direct match
+  if (call === enforce) {
+    return true;
+  }
+
+  // Namespace import pattern: enforce "hasPermission" matches call "permissions.hasPermission"
+  // Check if the call ends with the enforced function name as the rightmost part
+  if (!enforce.includes(".")) {
+    return getFunctionPart(call) === enforce;
+  }
+
+  // Dotted names match the trailing parts of the call on part boundaries,
+  // so a leading this, super or namespace is ignored
+  return call.endsWith(`.${enforce}`);
+}
+
+/**
+ * Create a predicate checking if a call matches a configured function name
+ * Literal names match like callMatchesEnforced. Glob and regular expression
+ * patterns match the full call name, or its last part when the pattern has
+ * no dot, e.g. "/^can[A-Z]/" matches both canEdit() and auth.canEdit(), or
+ * its trailing parts when the pattern has dots
+ * With exactName, names and patterns without a dot only match global calls,
+ * e.g. "fetch" matches fetch() and window.fetch() but not event.fetch()
+ * @param {string} enforce - Function name or pattern
+ * @param {{exactName?: boolean}} [options] - Matching options
+ * @returns {(call: string|null) => boolean}
+ */
+export function createCallMatcher(enforce, { exactName = false } = {}) {
+  if (exactName && !enforce.includes(".")) {
+    const matches = createMatcher(enforce, ".");
+    return (call) =>
+      Boolean(call) && matches(call.replace(/^(?:globalThis|window)\./, ""));
+  }
+
+  if (!isPattern(enforce)) {
+    return (call) => callMatchesEnforced(call, enforce);
+  }
+
+  const matches = createMatcher(enforce, ".");
+  return (call) => {
+    if (!call) {
+      return false;
+    }
+
+    if (matches(call)) {
+      return true;
+    }
+
+    if (!enforce.includes(".")) {
+      return matches(getFunctionPart(call));
+    }
+
+    // Dotted patterns match the trailing parts of the call like dotted
+    // names, e.g. "db.user.*" matches ctx.db.user.update()
+    for (let dot = call.indexOf("."); dot !== -1;) {
+      if (matches(call.slice(dot + 1))) {
+        return true;
+      }
+      dot = call.indexOf(".", dot + 1);
+    }
+
+    return false;
+  };
+}
+
+/**
+ * Normalize a check or enforce entry to its object form
+ * @param {string|{name: string, from?: string}} entry - Configured entry
+ * @returns {{name: string, from?: string}}
+ */
+export function normalizeEntry(entry) {
+  return typeof entry === "string" ? { name: entry } : entry;
+}
+
+/**
+ * Create matchers for the import sources configured on entries
+ * @param {{name: string, from?: string}[]} entries - Normalized entries
+ * @returns {Map<string, (source: string) => boolean>} - Source matchers by name
+ */
+export function createSourceMatchers(entries) {
+  return new Map(
+    entries
+      .filter((entry) => entry.from)
+      .map((entry) => [entry.name, createMatcher(entry.from, "/")]),
+  );
+}
+
+/**
+ * Schema for a function name, optionally restricted to an import source
+ * e.g. "hasPermission" or { name: "hasPermission", from: "$lib/auth" }
+ */
+export const nameEntrySchema = {
+  anyOf: [
+    { type: "string" },
+    {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        from: { type: "string" },
+      },
+      required: ["name"],
+      additionalProperties: false,
+    },
+  ],
+};
+
+/**
+ * Create the scope-aware call name resolution for a rule context
+ * @param {RuleContext} context - ESLint rule context
+ * @returns {object} - Resolver functions
+ */
+export function createCallResolver(context) {
+  /**
+   * Find a variable by name, starting at the scope of a node
+   * @param {Node} node - Any node
+   * @param {string} name - Variable name
+   * @returns {Variable|null}
+   */
+  function findVariable(node, name) {
+    let scope = context.sourceCode.getScope(node);
+
+    while (scope) {
+      const variable = scope.set.get(name);
+      if (variable) {
+        return variable;
+      }
+      scope = scope.upper;
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve an identifier through renamed imports and local aliases to the
+   * name it was imported or declared as
+   * Handles:
+   * - import { hasPermission as can } from "auth" -> hasPermission
+   * - const can = hasPermission -> hasPermission
+   * - const { hasPermission } = auth -> auth.hasPermission
+   * @param {Node} identifier - Identifier node
+   * @param {Set<Variable>} [seen] - Variables already resolved, to break cycles
+   * @returns {{name: string, source: string|null}} - Resolved name and the
+   *   import source it comes from, if any
+   */
+  function resolveBinding(identifier, seen = new Set()) {
+    const unresolved = { name: identifier.name, source: null };
+    const variable = findVariable(identifier, identifier.name);
+    const def = variable && variable.defs[0];
+    if (!def || seen.has(variable)) {
+      return unresolved;
+    }
+    seen.add(variable);
+
+    if (def.type === "ImportBinding") {
+      const specifier = def.node;
+      return {
+        name:
+          specifier.type === "ImportSpecifier"
+            ? (specifier.imported.name ?? specifier.imported.value)
+            : identifier.name,
+        source: def.parent.source.value,
+      };
+    }
+
+    if (def.type !== "Variable" || def.parent.kind !== "const") {
+      return unresolved;
+    }
+
+    const { id, init } = def.node;
+    if (!init || init.type !== "Identifier") {
+      return unresolved;
+    }
+
+    // const can = hasPermission
+    if (id.type === "Identifier") {
+      return resolveBinding(init, seen);
+    }
+
+    // const { hasPermission } = auth / const { hasPermission: can } = auth
+    if (id.type === "ObjectPattern") {
+      const property = id.properties.find(
+        (prop) =>
+          prop.type === "Property" &&
+          !prop.computed &&
+          prop.key.type === "Identifier" &&
+          (prop.value === def.name ||
+            (prop.value.type === "AssignmentPattern" &&
+              prop.value.left === def.name)),
+      );
+      if (property) {
+        const object = resolveBinding(init, seen);
+        return {
+          name: `${object.name}.${property.key.name}`,
+          source: object.source,
+        };
+      }
+    }
+
+    return unresolved;
+  }
+
+  /**
+   * Get the name of a call, resolving renamed imports and local aliases
+   * @param {{name: string|null, node: Node}} call - Collected call
+   * @param {object|null} [module] - Imported module containing the call, or
+   *   null for the linted file
+   * @returns {string|null} - Resolved function name or null
+   */
+  function resolveCallName(call, module) {
+    const root = getCalleeRootIdentifier(call.node);
+    if (!call.name || !root) {
+      return call.name;
+    }
+
+    let rootName = root.name;
+    if (module) {
+      // import { hasPermission as can } within an imported module
+      const imported = module.imports.get(root.name);
+      if (
+        imported &&
+        imported.imported !== "*" &&
+        imported.imported !== "default"
+      ) {
+        rootName = imported.imported;
+      }
+    } else {
+      rootName = resolveBinding(root).name;
+    }
+
+    return rootName + call.name.slice(root.name.length);
+  }
+
+  /**
+   * Get the import source a call's callee root is imported from
+   * @param {Node} node - CallExpression node
+   * @param {object|null} [module] - Imported module containing the call, or
+   *   null for the linted file
+   * @returns {string|null} - Module specifier or null if not imported
+   */
+  function getCallImportSource(node, module) {
+    const root = getCalleeRootIdentifier(node);
+    if (!root) {
+      return null;
+    }
+
+    if (module) {
+      const imported = module.imports.get(root.name);
+      return imported ? imported.source : null;
+    }
+
+    return resolveBinding(root).source;
+  }
+
+  /**
+   * Check if a call is imported from the source configured for a name
+   * @param {Map<string, Function>} sources - Source matchers by name
+   * @param {string} name - Configured function name
+   * @param {Node} node - CallExpression node
+   * @param {object|null} [module] - Imported module containing the call
+   * @returns {boolean} - True if no source is configured or it matches
+   */
+  function matchesImportSource(sources, name, node, module) {
+    const matchesSource = sources.get(name);
+    if (!matchesSource) {
+      return true;
+    }
+
+    const source = getCallImportSource(node, module);
+    return source !== null && matchesSource(source);
+  }
+
+  /**
+   * Resolve a reference to a function declared in the same file
+   * Handles: function handler() {}, const handler = () => {} and let or var
+   * variables that are never reassigned
+   * @param {Node} identifier - Identifier node referencing the function
+   * @returns {Node|null} - The function node or null
+   */
+  function resolveFunctionReference(identifier) {
+    const variable = findVariable(identifier, identifier.name);
+    const def = variable && variable.defs[0];
+    if (!def) {
+      return null;
+    }
+
+    // function handler() {}
+    if (def.type === "FunctionName") {
+      return def.node;
+    }
+
+    // const handler = () => {}, or let handler = () => {} without reassignments
+    if (
+      def.type === "Variable" &&
+      (def.parent.kind === "const" ||
+        (variable.defs.length === 1 &&
+          !variable.references.some(
+            (reference) => reference.isWrite() && !reference.init,
+          )))
+    ) {
+      const init = unwrapTypeExpression(def.node.init);
+      if (
+        init &&
+        (init.type === "ArrowFunctionExpression" ||
+          init.type === "FunctionExpression")
+      ) {
+        return init;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a predicate checking if a call matches any configured entry, by
+   * name or pattern and import source
+   * With exactName, entries without an import source match like
+   * createCallMatcher with exactName, as namespaced calls can't be told apart
+   * from methods of unrelated objects
+   * @param {{name: string, from?: string}[]} entries - Normalized entries
+   * @param {{exactName?: boolean}} [options] - Matching options
+   * @returns {(node: Node) => boolean}
+   */
+  function createCallNodeMatcher(entries, { exactName = false } = {}) {
+    const sources = createSourceMatchers(entries);
+    const matchers = entries.map((entry) => [
+      entry.name,
+      createCallMatcher(entry.name, { exactName: exactName && !entry.from }),
+    ]);
+
+    return (node) => {
+      const name = resolveCallName({ name: getCallExpressionName(node), node });
+      return matchers.some(
+        ([fn, matches]) =>
+          matches(name) && matchesImportSource(sources, fn, node),
+      );
+    };
+  }
+
+  return {
+    findVariable,
+    resolveCallName,
+    matchesImportSource,
+    resolveFunctionReference,
+    createCallNodeMatcher,
+  };
+}
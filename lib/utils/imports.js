@@ -0,0 +1,407 @@
+import fs from "node:fs";
+import path from "node:path";
+import { unwrapTypeExpression } from "./calls.js";
+
+/**
+ * Extensions tried when an import specifier omits one
+ */
+const EXTENSIONS = [
+  ".ts",
+  ".tsx",
+  ".mts",
+  ".cts",
+  ".js",
+  ".jsx",
+  ".mjs",
+  ".cjs",
+];
+
+/**
+ * Parsed modules, keyed by absolute file path
+ * @type {Map<string, {mtimeMs: number, info: object|null}>}
+ */
+const moduleCache = new Map();
+
+/**
+ * Check if a path is an existing file
+ * @param {string} filePath - Absolute file path
+ * @returns {boolean}
+ */
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find the file an extensionless or directory path refers to
+ * @param {string} basePath - Absolute path without extension
+ * @returns {string|null} - Absolute file path or null
+ */
+function findFile(basePath) {
+  if (isFile(basePath)) {
+    return basePath;
+  }
+
+  // TypeScript ESM imports reference the compiled extension: ./auth.js -> ./auth.ts
+  const ext = path.extname(basePath);
+  if (ext === ".js" || ext === ".mjs" || ext === ".cjs") {
+    const withoutExt = basePath.slice(0, -ext.length);
+    const tsExt = ext.replace("j", "t");
+    for (const candidate of [withoutExt + tsExt, withoutExt + ".tsx"]) {
+      if (isFile(candidate)) {
+        return candidate;
+      }
+    }
+  }
+
+  for (const extension of EXTENSIONS) {
+    if (isFile(basePath + extension)) {
+      return basePath + extension;
+    }
+  }
+
+  for (const extension of EXTENSIONS) {
+    const indexPath = path.join(basePath, "index" + extension);
+    if (isFile(indexPath)) {
+      return indexPath;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve an import specifier to a file path
+ * Handles relative specifiers and configured aliases, e.g. "$lib" -> "src/lib".
+ * Package imports are not resolved.
+ * @param {string} source - Import specifier
+ * @param {string} importer - Absolute path of the importing file
+ * @param {{aliases?: Object<string, string>, cwd: string}} options - Resolve options
+ * @returns {string|null} - Absolute file path or null
+ */
+export function resolveModulePath(source, importer, options) {
+  const { aliases = {}, cwd } = options;
+
+  if (source.startsWith("./") || source.startsWith("../")) {
+    return findFile(path.resolve(path.dirname(importer), source));
+  }
+
+  for (const [alias, target] of Object.entries(aliases)) {
+    if (source === alias || source.startsWith(alias + "/")) {
+      return findFile(path.resolve(cwd, target + source.slice(alias.length)));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Set parent pointers on a parsed AST, like ESLint does for linted files
+ * @param {Node} node - Any node
+ * @param {Node|null} parent - Parent node
+ */
+function setParents(node, parent) {
+  node.parent = parent;
+
+  for (const key of Object.keys(node)) {
+    if (key === "parent") {
+      continue;
+    }
+
+    const value = node[key];
+    const children = Array.isArray(value) ? value : [value];
+
+    for (const child of children) {
+      if (child && typeof child.type === "string") {
+        setParents(child, node);
+      }
+    }
+  }
+}
+
+/**
+ * Collect the top-level functions, imports and exports of a module
+ * @param {string} filePath - Absolute file path
+ * @param {Node} ast - Program node
+ * @returns {object} - Module info
+ */
+function collectModuleInfo(filePath, ast) {
+  const functions = new Map();
+  const imports = new Map();
+  const exports = new Map();
+  const starExports = [];
+
+  /**
+   * Record a top-level function declaration or const function
+   * @param {Node} declaration - Any declaration node
+   */
+  function addDeclaration(declaration) {
+    // function helper() {}
+    if (declaration.type === "FunctionDeclaration" && declaration.id) {
+      functions.set(declaration.id.name, declaration);
+      return [declaration.id.name];
+    }
+
+    // const helper = () => {}
+    if (
+      declaration.type === "VariableDeclaration" &&
+      declaration.kind === "const"
+    ) {
+      const names = [];
+      for (const declarator of declaration.declarations) {
+        const init = unwrapTypeExpression(declarator.init);
+        if (
+          declarator.id.type === "Identifier" &&
+          init &&
+          (init.type === "ArrowFunctionExpression" ||
+            init.type === "FunctionExpression")
+        ) {
+          functions.set(declarator.id.name, init);
+          names.push(declarator.id.name);
+        }
+      }
+      return names;
+    }
+
+    return [];
+  }
+
+  for (const statement of ast.body) {
+    if (statement.type === "ImportDeclaration") {
+      for (const specifier of statement.specifiers) {
+        let imported = "*";
+        if (specifier.type === "ImportSpecifier") {
+          imported = specifier.imported.name ?? specifier.imported.value;
+        } else if (specifier.type === "ImportDefaultSpecifier") {
+          imported = "default";
+        }
+        imports.set(specifier.local.name, {
+          source: statement.source.value,
+          imported,
+        });
+      }
+      continue;
+    }
+
+    if (statement.type === "ExportNamedDeclaration") {
+      // export function helper() {} / export const helper = () => {}
+      if (statement.declaration) {
+        for (const name of addDeclaration(statement.declaration)) {
+          exports.set(name, { local: name });
+        }
+      }
+
+      // export { helper } / export { helper as guard } from "./auth"
+      for (const specifier of statement.specifiers) {
+        const local = specifier.local.name ?? specifier.local.value;
+        const exported = specifier.exported.name ?? specifier.exported.value;
+        exports.set(
+          exported,
+          statement.source
+            ? { source: statement.source.value, imported: local }
+            : { local },
+        );
+      }
+      continue;
+    }
+
+    // export * from "./auth"
+    if (statement.type === "ExportAllDeclaration" && !statement.exported) {
+      starExports.push(statement.source.value);
+      continue;
+    }
+
+    if (statement.type === "ExportDefaultDeclaration") {
+      const declaration = unwrapTypeExpression(statement.declaration);
+
+      if (declaration.type === "Identifier") {
+        // export default helper
+        exports.set("default", { local: declaration.name });
+      } else if (
+        declaration.type === "FunctionDeclaration" ||
+        declaration.type === "ArrowFunctionExpression" ||
+        declaration.type === "FunctionExpression"
+      ) {
+        // export default function () {}
+        addDeclaration(declaration);
+        functions.set("default", declaration);
+        exports.set("default", { local: "default" });
+      }
+      continue;
+    }
+
+    addDeclaration(statement);
+  }
+
+  return { filePath, functions, imports, exports, starExports };
+}
+
+/**
+ * Parse a module, reusing the cached result while the file is unchanged
+ * @param {string} filePath - Absolute file path
+ * @param {Function} parse - Parses source text to a Program node
+ * @returns {object|null} - Module info, or null if it can't be read or parsed
+ */
+export function loadModule(filePath, parse) {
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(filePath).mtimeMs;
+  } catch {
+    return null;
+  }
+
+  const cached = moduleCache.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.info;
+  }
+
+  let info = null;
+  try {
+    const ast = parse(fs.readFileSync(filePath, "utf8"), filePath);
+    setParents(ast, null);
+    info = collectModuleInfo(filePath, ast);
+  } catch {
+    // Unparsable modules are treated like unresolved imports
+  }
+
+  moduleCache.set(filePath, { mtimeMs, info });
+  return info;
+}
+
+/**
+ * Find the function a module exports under a name, following re-exports
+ * @param {object} moduleInfo - Module info from loadModule
+ * @param {string} name - Exported name
+ * @param {{aliases?: Object<string, string>, cwd: string, parse: Function}} options - Resolve options
+ * @param {Set<string>} [seen] - Modules already searched, to break cycles
+ * @returns {{node: Node, module: object}|null}
+ */
+export function findExportedFunction(
+  moduleInfo,
+  name,
+  options,
+  seen = new Set(),
+) {
+  const key = moduleInfo.filePath + "#" + name;
+  if (seen.has(key)) {
+    return null;
+  }
+  seen.add(key);
+
+  const exported = moduleInfo.exports.get(name);
+
+  if (exported && exported.local) {
+    const node = moduleInfo.functions.get(exported.local);
+    if (node) {
+      return { node, module: moduleInfo };
+    }
+
+    // import { helper } from "./auth"; export { helper }
+    const imported = moduleInfo.imports.get(exported.local);
+    return imported
+      ? findImportedFunction(moduleInfo, imported, options, seen)
+      : null;
+  }
+
+  if (exported && exported.source) {
+    return findImportedFunction(moduleInfo, exported, options, seen);
+  }
+
+  for (const source of moduleInfo.starExports) {
+    const target = loadImportedModule(moduleInfo.filePath, source, options);
+    const found = target && findExportedFunction(target, name, options, seen);
+    if (found) {
+      return found;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load the module an import specifier refers to
+ * @param {string} importer - Absolute path of the importing file
+ * @param {string} source - Import specifier
+ * @param {{aliases?: Object<string, string>, cwd: string, parse: Function}} options - Resolve options
+ * @returns {object|null} - Module info or null
+ */
+export function loadImportedModule(importer, source, options) {
+  const filePath = resolveModulePath(source, importer, options);
+  return filePath ? loadModule(filePath, options.parse) : null;
+}
+
+/**
+ * Find the function an import binding refers to
+ * @param {object} moduleInfo - Module info of the importing module
+ * @param {{source: string, imported: string}} binding - Import binding
+ * @param {{aliases?: Object<string, string>, cwd: string, parse: Function}} options - Resolve options
+ * @param {Set<string>} [seen] - Modules already searched, to break cycles
+ * @returns {{node: Node, module: object}|null}
+ */
+function findImportedFunction(moduleInfo, binding, options, seen) {
+  if (binding.imported === "*") {
+    return null;
+  }
+
+  const target = loadImportedModule(
+    moduleInfo.filePath,
+    binding.source,
+    options,
+  );
+  return target
+    ? findExportedFunction(target, binding.imported, options, seen)
+    : null;
+}
+
+/**
+ * Resolve a call within a parsed module to the function it calls
+ * Handles: helper() for top-level and imported functions, and ns.helper()
+ * for namespace imports
+ * @param {object} moduleInfo - Module info from loadModule
+ * @param {Node} node - CallExpression node within the module
+ * @param {{aliases?: Object<string, string>, cwd: string, parse: Function}} options - Resolve options
+ * @returns {{node: Node, module: object}|null}
+ */
+export function resolveModuleCall(moduleInfo, node, options) {
+  const { callee } = node;
+
+  // helper()
+  if (callee.type === "Identifier") {
+    const local = moduleInfo.functions.get(callee.name);
+    if (local) {
+      return { node: local, module: moduleInfo };
+    }
+
+    const imported = moduleInfo.imports.get(callee.name);
+    return imported
+      ? findImportedFunction(moduleInfo, imported, options, new Set())
+      : null;
+  }
+
+  // auth.helper() for import * as auth
+  if (
+    callee.type === "MemberExpression" &&
+    !callee.computed &&
+    callee.object.type === "Identifier" &&
+    callee.property.type === "Identifier"
+  ) {
+    const imported = moduleInfo.imports.get(callee.object.name);
+    if (!imported || imported.imported !== "*") {
+      return null;
+    }
+
+    const target = loadImportedModule(
+      moduleInfo.filePath,
+      imported.source,
+      options,
+    );
+    return target
+      ? findExportedFunction(target, callee.property.name, options)
+      : null;
+  }
+
+  return null;
+}
@@ -0,0 +1,120 @@
+/**
+ * Check if a configured string is a regular expression, e.g. "/^\$lib\//i"
+ * @param {string} pattern - Configured pattern
+ * @returns {boolean}
+ */
+export function isRegExpPattern(pattern) {
+  return /^\/.+\/[dgimsuvy]*$/.test(pattern);
+}
+
+/**
+ * Check if a configured string is a glob or regular expression pattern
+ * rather than a literal
+ * @param {string} pattern - Configured pattern
+ * @returns {boolean}
+ */
+export function isPattern(pattern) {
+  return isRegExpPattern(pattern) || /[*?]/.test(pattern);
+}
+
+/**
+ * Compile a glob or regular expression string to a RegExp
+ * Globs match whole strings: "*" matches within one segment, "**" across
+ * segments and "?" a single character. Regular expressions are written
+ * between slashes and match anywhere unless anchored. The g and y flags are
+ * dropped, as they make test() depend on the previously matched name.
+ * @param {string} pattern - Glob or "/regex/flags" string
+ * @param {string} separator - Segment separator, e.g. "/" for module paths
+ * @returns {RegExp}
+ * @throws {Error} If the regular expression is malformed
+ */
+export function compilePattern(pattern, separator) {
+  if (isRegExpPattern(pattern)) {
+    const lastSlash = pattern.lastIndexOf("/");
+    try {
+      return new RegExp(
+        pattern.slice(1, lastSlash),
+        pattern.slice(lastSlash + 1).replace(/[gy]/g, ""),
+      );
+    } catch (error) {
+      throw new Error(
+        `Invalid regular expression pattern "${pattern}" in rule options: ${error.message}`,
+      );
+    }
+  }
+
+  const notSeparator = `[^${escapeRegExp(separator)}]`;
+  let source = "";
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "*" && pattern[i + 1] === "*") {
+      source += ".*";
+      i++;
+    } else if (char === "*") {
+      source += `${notSeparator}*`;
+    } else if (char === "?") {
+      source += notSeparator;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Escape characters with a special meaning in regular expressions
+ * @param {string} text - Literal text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Create a predicate matching a literal string, glob or regular expression
+ * @param {string} pattern - Literal, glob or "/regex/flags" string
+ * @param {string} separator - Segment separator for globs
+ * @returns {(value: string) => boolean}
+ */
+export function createMatcher(pattern, separator) {
+  if (!isPattern(pattern)) {
+    return (value) => value === pattern;
+  }
+
+  const regExp = compilePattern(pattern, separator);
+  return (value) => regExp.test(value);
+}
+
+/**
+ * Create a lookup from a name to the first configured entry matching it
+ * Literal names are looked up in a Map, patterns are tested in order.
+ * @template {{name: string}} Entry
+ * @param {Entry[]} entries - Configured entries
+ * @param {string} separator - Segment separator for globs
+ * @returns {(name: string) => Entry|null}
+ */
+export function createEntryMatcher(entries, separator) {
+  const literals = new Map();
+  const patterns = [];
+
+  for (const entry of entries) {
+    if (isPattern(entry.name)) {
+      patterns.push({ entry, matches: createMatcher(entry.name, separator) });
+    } else if (!literals.has(entry.name)) {
+      literals.set(entry.name, entry);
+    }
+  }
+
+  return (name) => {
+    const literal = literals.get(name);
+    if (literal) {
+      return literal;
+    }
+
+    const pattern = patterns.find(({ matches }) => matches(name));
+    return pattern ? pattern.entry : null;
+  };
+}
@@ -0,0 +1,577 @@
+import {
+  createCallResolver,
+  createSourceMatchers,
+  getCallChain,
+  getCallExpressionName,
+  getReferenceName,
+  unwrapChainExpression,
+  unwrapTypeExpression,
+} from "./calls.js";
+import { createEntryMatcher, createMatcher } from "./patterns.js";
+
+/**
+ * Schema for the argument paths holding the callbacks to check
+ */
+const callbacksSchema = {
+  type: "array",
+  items: { type: "string", pattern: "^(\\d+|\\*)(\\.[^.]+)*$" },
+  minItems: 1,
+};
+
+/**
+ * Schema for a context function whose callbacks are checked, optionally
+ * restricted to an import source and the argument paths holding callbacks,
+ * or for the methods of a builder chain
+ * e.g. { name: "procedure", callbacks: ["0.handler"] } or
+ * { chainRoot: "protectedProcedure", method: ["query", "mutation"] }
+ */
+export const checkEntrySchema = {
+  anyOf: [
+    { type: "string" },
+    {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        from: { type: "string" },
+        callbacks: callbacksSchema,
+      },
+      required: ["name"],
+      additionalProperties: false,
+    },
+    {
+      type: "object",
+      properties: {
+        chainRoot: { type: "string" },
+        method: {
+          type: "array",
+          items: { type: "string" },
+          minItems: 1,
+        },
+        middleware: {
+          type: "array",
+          items: { type: "string" },
+        },
+        callbacks: callbacksSchema,
+      },
+      required: ["chainRoot", "method"],
+      additionalProperties: false,
+    },
+  ],
+};
+
+/**
+ * Schema properties for the functions a rule checks, shared by all rules
+ * e.g. { check: ["query"], checkFunctions: ["load"], checkDecorated: ["Get"] }
+ */
+export const checkSchemaProperties = {
+  check: {
+    type: "array",
+    items: checkEntrySchema,
+    minItems: 1,
+  },
+  checkFunctions: {
+    type: "array",
+    items: { type: "string" },
+    minItems: 1,
+  },
+  checkDecorated: {
+    type: "array",
+    items: { type: "string" },
+    minItems: 1,
+  },
+};
+
+/**
+ * Get the values of an object property or array element of a node
+ * @param {Node} node - Any expression node
+ * @param {string} key - Property name, array index or "*" for all
+ * @returns {Node[]} - Property values or array elements
+ */
+function getChildValues(node, key) {
+  const value = unwrapTypeExpression(node);
+
+  // { handler: async () => {} } or { handler() {} }
+  if (value.type === "ObjectExpression") {
+    return value.properties
+      .filter(
+        (property) =>
+          property.type === "Property" &&
+          (key === "*" || getPropertyKey(property) === key),
+      )
+      .map((property) => property.value);
+  }
+
+  // [async () => {}]
+  if (value.type === "ArrayExpression") {
+    const elements = key === "*" ? value.elements : [value.elements[key]];
+    return elements.filter(
+      (element) => element && element.type !== "SpreadElement",
+    );
+  }
+
+  return [];
+}
+
+/**
+ * Get the static key of an object property
+ * @param {Node} property - Property node
+ * @returns {string|null} - Key name, or null for computed keys
+ */
+function getPropertyKey(property) {
+  if (!property.computed && property.key.type === "Identifier") {
+    return property.key.name;
+  }
+  if (property.key.type === "Literal") {
+    return String(property.key.value);
+  }
+  return null;
+}
+
+/**
+ * Get the nodes at the callback paths of a call, e.g. "0.handler" for the
+ * handler property of the first argument or "*.resolve" for the resolve
+ * property of any argument
+ * @param {Node} node - CallExpression node
+ * @param {string[]} paths - Dotted paths starting at an argument index or "*"
+ * @returns {Node[]} - Nodes found at the paths
+ */
+function getCallbackNodes(node, paths) {
+  return paths.flatMap((path) => {
+    const [index, ...keys] = path.split(".");
+    const args = node.arguments.filter((arg) => arg.type !== "SpreadElement");
+    let values = index === "*" ? args : [args[index]].filter(Boolean);
+
+    for (const key of keys) {
+      values = values.flatMap((value) => getChildValues(value, key));
+    }
+
+    return values;
+  });
+}
+
+/**
+ * Create the visitors finding the functions a rule checks: callbacks passed
+ * to functions in `check`, exported functions matching `checkFunctions` and
+ * class methods with decorators in `checkDecorated`
+ * Callbacks passed by reference are resolved to their definition in the
+ * same file, e.g. query(handler) for const handler = () => {}. Check entries
+ * with `callbacks` paths check the functions at those paths instead of the
+ * function arguments.
+ * @param {RuleContext} context - ESLint rule context
+ * @param {{check: object[], checkFunctions: string[], checkDecorated?: string[]}} options -
+ *   Normalized check entries, and exported function and decorator names or
+ *   patterns
+ * @param {(funcNode: Node, details: {name: string, reference?: Node, middleware?: Node[]}) => void} onFunction -
+ *   Called once with each checked function, the name of its context function,
+ *   export or decorator, the Identifier argument for callbacks passed by
+ *   reference and the middleware that may satisfy the rule: arguments of
+ *   earlier links in builder chains, or decorators of methods and classes
+ * @param {(reference: Node, details: {middleware: Node[]}) => void} [onUnresolvedCallback] -
+ *   Called with Identifier arguments that don't reference a function in the
+ *   same file, e.g. imported callbacks
+ * @returns {object} - Rule visitors
+ */
+export function createCheckVisitors(
+  context,
+  options,
+  onFunction,
+  onUnresolvedCallback,
+) {
+  const { check, checkFunctions, checkDecorated = [] } = options;
+
+  // Functions already checked, e.g. exported under several names
+  const checkedFunctions = new Set();
+  const {
+    findVariable,
+    resolveCallName,
+    matchesImportSource,
+    resolveFunctionReference,
+  } = createCallResolver(context);
+
+  // Context functions by name, and builder chains by root and method
+  const nameEntries = check.filter((entry) => entry.name);
+  const chainEntries = check
+    .filter((entry) => entry.chainRoot)
+    .map((entry) => ({
+      entry,
+      matchesRoot: createMatcher(entry.chainRoot, "."),
+    }));
+
+  // Import sources that context calls must resolve to, by function name
+  const checkSources = createSourceMatchers(nameEntries);
+
+  // Compile patterns once, literal names are looked up directly
+  const findCheckEntry = createEntryMatcher(nameEntries, ".");
+  const findCheckFunction = createEntryMatcher(
+    checkFunctions.map((name) => ({ name })),
+    ".",
+  );
+  const findCheckDecorator = createEntryMatcher(
+    checkDecorated.map((name) => ({ name })),
+    ".",
+  );
+
+  /**
+   * Get the name of a decorator, e.g. "Get" for @Get() or @Get
+   * @param {Node} decorator - Decorator node
+   * @returns {string|null} - Name or null
+   */
+  function getDecoratorName(decorator) {
+    const expression = unwrapChainExpression(decorator.expression);
+    const name =
+      expression.type === "CallExpression"
+        ? getCallExpressionName(expression)
+        : getReferenceName(expression);
+    return resolveCallName({ name, node: expression });
+  }
+
+  /**
+   * Pass a function on to be checked, once per function
+   * Callbacks passed by reference are passed on again, for reporting at each
+   * call site.
+   * @param {Node} funcNode - Checked function
+   * @param {{name: string, reference?: Node, middleware?: Node[]}} details -
+   *   Details passed on to onFunction
+   */
+  function checkFunction(funcNode, details) {
+    if (checkedFunctions.has(funcNode) && !details.reference) {
+      return;
+    }
+
+    checkedFunctions.add(funcNode);
+    onFunction(funcNode, details);
+  }
+
+  /**
+   * Check a class method carrying a decorator in checkDecorated
+   * e.g. @Get() findAll() {} for checkDecorated: ["Get"]
+   * @param {Node} node - MethodDefinition or PropertyDefinition node
+   */
+  function checkDecoratedMethod(node) {
+    const decorators = node.decorators || [];
+    const fn = unwrapTypeExpression(node.value);
+    if (
+      decorators.length === 0 ||
+      !fn ||
+      (fn.type !== "FunctionExpression" &&
+        fn.type !== "ArrowFunctionExpression")
+    ) {
+      return;
+    }
+
+    const name = decorators
+      .map(getDecoratorName)
+      .find(
+        (decoratorName) => decoratorName && findCheckDecorator(decoratorName),
+      );
+    if (!name) {
+      return;
+    }
+
+    // Method and class decorators, and the arguments of decorator calls,
+    // like @UseGuards(AuthGuard), may satisfy the rule
+    const classNode = node.parent.parent;
+    const middleware = [...(classNode.decorators || []), ...decorators].flatMap(
+      (decorator) => {
+        const expression = unwrapChainExpression(decorator.expression);
+        return expression.type === "CallExpression"
+          ? [expression, ...expression.arguments]
+          : [expression];
+      },
+    );
+
+    checkFunction(fn, { name, middleware });
+  }
+
+  /**
+   * Find the first of an export's names matching checkFunctions
+   * @param {string[]} names - Exported name and other names it's known by
+   * @returns {string|undefined}
+   */
+  function findCheckedName(names) {
+    return names.find((name) => findCheckFunction(name));
+  }
+
+  /**
+   * Check the functions an exported value holds
+   * Handles:
+   * - Functions: export const load = () => {}, export default function () {}
+   * - Objects: export default { fetch() {} }, checked as a whole by the
+   *   export name or per property, e.g. "default.fetch"
+   * - Classes: export class Controller { get() {} }, checked as a whole by
+   *   the class name or per method, e.g. "Controller.get"
+   * - Wrapper calls: export default defineEventHandler(() => {})
+   * - References to local declarations: export { load }, export default load
+   * @param {Node} node - Exported declaration or expression node
+   * @param {string[]} names - Names the export is known by
+   */
+  function checkExportedValue(node, names) {
+    const value = unwrapTypeExpression(node);
+    if (!value) {
+      return;
+    }
+
+    const checkedName = findCheckedName(names);
+
+    switch (value.type) {
+      case "ArrowFunctionExpression":
+      case "FunctionExpression":
+      case "FunctionDeclaration":
+        if (checkedName) {
+          checkFunction(value, { name: checkedName });
+        }
+        return;
+
+      case "ObjectExpression":
+      case "ClassDeclaration":
+      case "ClassExpression": {
+        const members =
+          value.type === "ObjectExpression"
+            ? value.properties
+            : value.body.body.filter(
+                (member) =>
+                  member.type !== "MethodDefinition" ||
+                  member.kind === "method",
+              );
+
+        for (const member of members) {
+          // Skip spread elements, static blocks and computed keys
+          const key =
+            (member.type === "Property" ||
+              member.type === "MethodDefinition" ||
+              member.type === "PropertyDefinition") &&
+            getPropertyKey(member);
+          const fn = key && unwrapTypeExpression(member.value);
+          if (
+            !fn ||
+            (fn.type !== "ArrowFunctionExpression" &&
+              fn.type !== "FunctionExpression")
+          ) {
+            continue;
+          }
+
+          const name =
+            checkedName ?? findCheckedName(names.map((n) => `${n}.${key}`));
+          if (name) {
+            checkFunction(fn, { name });
+          }
+        }
+        return;
+      }
+
+      // export default defineEventHandler(async (event) => {})
+      // Only default exports are unwrapped, as named exports like
+      // export const load = withAuth(...) may already be wrapped by a guard
+      case "CallExpression":
+        if (!checkedName || !names.includes("default")) {
+          return;
+        }
+
+        for (const arg of value.arguments) {
+          const callback = unwrapTypeExpression(arg);
+          const fn =
+            callback.type === "Identifier"
+              ? resolveFunctionReference(callback)
+              : callback;
+          if (
+            fn &&
+            (fn.type === "ArrowFunctionExpression" ||
+              fn.type === "FunctionExpression" ||
+              fn.type === "FunctionDeclaration")
+          ) {
+            checkFunction(fn, { name: checkedName });
+          }
+        }
+        return;
+
+      // export { load } and export default load
+      case "Identifier": {
+        const variable = findVariable(value, value.name);
+        const def = variable && variable.defs[0];
+        if (!def) {
+          return;
+        }
+
+        if (def.type === "FunctionName" || def.type === "ClassName") {
+          checkExportedValue(def.node, names);
+        } else if (
+          def.type === "Variable" &&
+          def.parent.kind === "const" &&
+          def.node.id.type === "Identifier" &&
+          def.node.init &&
+          unwrapTypeExpression(def.node.init).type !== "Identifier"
+        ) {
+          checkExportedValue(def.node.init, names);
+        }
+        return;
+      }
+    }
+  }
+
+  /**
+   * Find the chain entry a builder chain method call matches
+   * e.g. protectedProcedure.input(schema).mutation(fn) for
+   * { chainRoot: "protectedProcedure", method: ["mutation"] }
+   * @param {Node} node - CallExpression node
+   * @returns {{entry: object, name: string, middleware: Node[]}|null} - The
+   *   entry, the context name and the arguments of earlier middleware links
+   */
+  function findChainEntry(node) {
+    const chain = chainEntries.length > 0 && getCallChain(node);
+    if (!chain) {
+      return null;
+    }
+
+    const { method } = chain.links[chain.links.length - 1];
+    const root = resolveCallName({ name: chain.root, node: chain.rootNode });
+    const match = chainEntries.find(
+      ({ entry, matchesRoot }) =>
+        matchesRoot(root) && entry.method.includes(method),
+    );
+    if (!match) {
+      return null;
+    }
+
+    // .use(authMiddleware) before the checked method
+    const middlewareMethods = match.entry.middleware ?? ["use"];
+    const middleware = chain.links
+      .slice(0, -1)
+      .filter((link) => middlewareMethods.includes(link.method))
+      .flatMap((link) => link.node.arguments);
+
+    return { entry: match.entry, name: `${chain.root}.${method}`, middleware };
+  }
+
+  return {
+    CallExpression(node) {
+      // Get the name of the function being called
+      let functionName = resolveCallName({
+        name: getCallExpressionName(node),
+        node,
+      });
+      let checkEntry = functionName && findCheckEntry(functionName);
+      let middleware = [];
+      if (
+        checkEntry &&
+        !matchesImportSource(checkSources, checkEntry.name, node)
+      ) {
+        checkEntry = null;
+      }
+
+      if (!checkEntry) {
+        const chainMatch = findChainEntry(node);
+        if (!chainMatch) {
+          return;
+        }
+        ({ entry: checkEntry, name: functionName, middleware } = chainMatch);
+      }
+
+      // Check function arguments, or the functions at the configured paths
+      const callbacks = checkEntry.callbacks
+        ? getCallbackNodes(node, checkEntry.callbacks)
+        : node.arguments;
+
+      for (const arg of callbacks) {
+        // query(handler)
+        const reference = unwrapTypeExpression(arg);
+        if (reference.type === "Identifier") {
+          const definition = resolveFunctionReference(reference);
+          if (definition) {
+            checkFunction(definition, {
+              name: functionName,
+              reference,
+              middleware,
+            });
+          } else if (onUnresolvedCallback) {
+            onUnresolvedCallback(reference, { middleware });
+          }
+          continue;
+        }
+
+        // Only check arrow functions and function expressions
+        if (
+          reference.type !== "ArrowFunctionExpression" &&
+          reference.type !== "FunctionExpression"
+        ) {
+          continue;
+        }
+
+        checkFunction(reference, { name: functionName, middleware });
+      }
+    },
+
+    // Handle: export const load = () => {}
+    ExportNamedDeclaration(node) {
+      if (checkFunctions.length === 0 || node.exportKind === "type") {
+        return;
+      }
+
+      const { declaration } = node;
+
+      // export const load = () => {}
+      if (declaration && declaration.type === "VariableDeclaration") {
+        for (const declarator of declaration.declarations) {
+          if (declarator.id.type === "Identifier") {
+            checkExportedValue(declarator.init, [declarator.id.name]);
+          }
+        }
+      }
+
+      // export function load() {} and export class Controller {}
+      if (
+        declaration &&
+        (declaration.type === "FunctionDeclaration" ||
+          declaration.type === "ClassDeclaration") &&
+        declaration.id
+      ) {
+        checkExportedValue(declaration, [declaration.id.name]);
+      }
+
+      // export { load }, but not re-exports from other modules
+      if (!node.source) {
+        for (const specifier of node.specifiers) {
+          if (
+            specifier.local.type === "Identifier" &&
+            specifier.exportKind !== "type"
+          ) {
+            const exported =
+              specifier.exported.name ?? specifier.exported.value;
+            checkExportedValue(specifier.local, [exported]);
+          }
+        }
+      }
+    },
+
+    // Handle: export default function load() {}
+    ExportDefaultDeclaration(node) {
+      if (checkFunctions.length === 0) {
+        return;
+      }
+
+      // Default exports match "default" as well as their declared name
+      const { declaration } = node;
+      const names = ["default"];
+      if (declaration.id) {
+        names.unshift(declaration.id.name);
+      } else if (declaration.type === "Identifier") {
+        names.unshift(declaration.name);
+      }
+
+      checkExportedValue(declaration, names);
+    },
+
+    // Handle: @Get() findAll() {}
+    MethodDefinition(node) {
+      if (checkDecorated.length > 0 && node.kind === "method") {
+        checkDecoratedMethod(node);
+      }
+    },
+
+    // Handle: @Get() findAll = () => {}
+    PropertyDefinition(node) {
+      if (checkDecorated.length > 0) {
+        checkDecoratedMethod(node);
+      }
+    },
+  };
+}
@@ -0,0 +1,205 @@
+/**
+ * Fill in a suggested call template for a function
+ * Supports {{param0}}, {{param1}}, ... for the names of the function's
+ * parameters, e.g. "await hasPermission({{param0}})" -> "await hasPermission(event)"
+ * @param {string} template - Call template
+ * @param {Node} funcNode - ArrowFunctionExpression, FunctionExpression, or FunctionDeclaration
+ * @returns {string|null} - The call, or null if a parameter can't be named
+ */
+export function formatSuggestedCall(template, funcNode) {
+  let complete = true;
+
+  const call = template.replace(/\{\{\s*param(\d+)\s*\}\}/g, (match, index) => {
+    let param = funcNode.params[Number(index)];
+    if (param && param.type === "AssignmentPattern") {
+      param = param.left;
+    }
+
+    if (!param || param.type !== "Identifier") {
+      complete = false;
+      return match;
+    }
+    return param.name;
+  });
+
+  return complete ? call : null;
+}
+
+/**
+ * Replace an identifier in a call template, skipping longer identifiers and
+ * properties containing it
+ * e.g. replacing auth with authz in "await auth.check(oauth)" -> "await authz.check(oauth)"
+ * @param {string} template - Call template
+ * @param {string} name - Identifier to replace
+ * @param {string} replacement - Replacement expression
+ * @returns {string}
+ */
+export function replaceIdentifier(template, name, replacement) {
+  const escaped = name.replace(/\$/g, "\\$");
+  return template.replace(
+    new RegExp(`(?<![\\w$.])${escaped}(?![\\w$])`, "g"),
+    () => replacement,
+  );
+}
+
+/**
+ * Count the directives, like "use server", leading a list of statements
+ * @param {Node[]} statements - Program or function body statements
+ * @returns {number}
+ */
+function countDirectives(statements) {
+  let directives = 0;
+  while (
+    directives < statements.length &&
+    statements[directives].type === "ExpressionStatement" &&
+    statements[directives].directive !== undefined
+  ) {
+    directives++;
+  }
+  return directives;
+}
+
+/**
+ * Create the fix inserting a statement at the start of a function body, after
+ * any directive prologue
+ * Expression-body arrows are converted to block bodies returning the expression.
+ * @param {RuleFixer} fixer - ESLint rule fixer
+ * @param {SourceCode} sourceCode - Source code of the linted file
+ * @param {Node} funcNode - ArrowFunctionExpression, FunctionExpression, or FunctionDeclaration
+ * @param {string} statement - Statement text, including the semicolon
+ * @returns {Fix}
+ */
+export function insertStatementFix(fixer, sourceCode, funcNode, statement) {
+  const { body } = funcNode;
+
+  // () => expr becomes () => { statement; return expr; }
+  if (body.type !== "BlockStatement") {
+    const arrow = sourceCode.getTokenBefore(
+      body,
+      (token) => token.value === "=>",
+    );
+    const expression = sourceCode.text
+      .slice(arrow.range[1], funcNode.range[1])
+      .trim();
+    return fixer.replaceTextRange(
+      [arrow.range[1], funcNode.range[1]],
+      ` { ${statement} return ${expression}; }`,
+    );
+  }
+
+  // Directives like "use server" must stay at the start of the body
+  const directives = countDirectives(body.body);
+  const first = body.body[directives];
+  if (!first) {
+    return fixer.insertTextAfter(body.body[directives - 1], ` ${statement}`);
+  }
+
+  // () => { db.all() } keeps the statement on the same line
+  if (first.loc.start.line === body.loc.start.line) {
+    return fixer.insertTextBefore(first, `${statement} `);
+  }
+
+  const line = sourceCode.lines[first.loc.start.line - 1];
+  const indent = line.slice(0, line.length - line.trimStart().length);
+  return fixer.insertTextBefore(first, `${statement}\n${indent}`);
+}
+
+/**
+ * Get the value imports of a module, skipping type-only imports
+ * @param {SourceCode} sourceCode - Source code of the linted file
+ * @param {string} from - Module specifier
+ * @returns {Node[]} - ImportDeclaration nodes
+ */
+function getModuleImports(sourceCode, from) {
+  return sourceCode.ast.body.filter(
+    (statement) =>
+      statement.type === "ImportDeclaration" &&
+      statement.source.value === from &&
+      statement.importKind !== "type",
+  );
+}
+
+/**
+ * Find how an existing import makes a module's named export available
+ * e.g. "can" for import { hasPermission as can } from "$lib/auth", or
+ * "auth.hasPermission" for import * as auth from "$lib/auth"
+ * @param {SourceCode} sourceCode - Source code of the linted file
+ * @param {string} from - Module specifier
+ * @param {string} named - Exported name
+ * @returns {string|null} - Expression referring to the export, or null
+ */
+export function findImportBinding(sourceCode, from, named) {
+  const specifiers = getModuleImports(sourceCode, from).flatMap(
+    (declaration) => declaration.specifiers,
+  );
+
+  const specifier = specifiers.find(
+    (spec) =>
+      spec.type === "ImportSpecifier" &&
+      spec.importKind !== "type" &&
+      (spec.imported.name ?? spec.imported.value) === named,
+  );
+  if (specifier) {
+    return specifier.local.name;
+  }
+
+  const namespace = specifiers.find(
+    (spec) => spec.type === "ImportNamespaceSpecifier",
+  );
+  return namespace ? `${namespace.local.name}.${named}` : null;
+}
+
+/**
+ * Create the fix importing a module's named export, extending an existing
+ * import of the module or adding an import after any existing imports or
+ * module directives
+ * @param {RuleFixer} fixer - ESLint rule fixer
+ * @param {SourceCode} sourceCode - Source code of the linted file
+ * @param {string} named - Exported name
+ * @param {string} from - Module specifier
+ * @returns {Fix}
+ */
+export function addImportFix(fixer, sourceCode, named, from) {
+  for (const declaration of getModuleImports(sourceCode, from)) {
+    const { specifiers } = declaration;
+    const lastNamed = specifiers.findLast(
+      (spec) => spec.type === "ImportSpecifier",
+    );
+
+    // import { isAuthenticated } from "$lib/auth"
+    if (lastNamed) {
+      return fixer.insertTextAfter(lastNamed, `, ${named}`);
+    }
+
+    // import auth from "$lib/auth"
+    if (
+      specifiers.length === 1 &&
+      specifiers[0].type === "ImportDefaultSpecifier"
+    ) {
+      return fixer.insertTextAfter(specifiers[0], `, { ${named} }`);
+    }
+  }
+
+  const declaration = `import { ${named} } from ${JSON.stringify(from)};`;
+  const imports = sourceCode.ast.body.filter(
+    (statement) => statement.type === "ImportDeclaration",
+  );
+
+  if (imports.length > 0) {
+    return fixer.insertTextAfter(
+      imports[imports.length - 1],
+      `\n${declaration}`,
+    );
+  }
+
+  // Module directives like "use server" must stay at the start of the file
+  const directives = countDirectives(sourceCode.ast.body);
+  if (directives > 0) {
+    return fixer.insertTextAfter(
+      sourceCode.ast.body[directives - 1],
+      `\n${declaration}`,
+    );
+  }
+
+  return fixer.insertTextBeforeRange([0, 0], `${declaration}\n`);
+}
@@ -0,0 +1,24 @@
+import { hasPermission } from "./permissions.js";
+import * as session from "./session.js";
+
+function check(scope) {
+  return hasPermission(scope);
+}
+
+export function requireAdmin() {
+  check("admin");
+}
+
+export const requireUser = () => {
+  session.requireSession();
+};
+
+export function logAccess() {
+  console.log("access");
+}
+
+export default function guard() {
+  requireAdmin();
+}
+
+export { requireAdmin as adminOnly };
@@ -0,0 +1,13 @@
+import { hasPermission } from "./permissions.js";
+
+export function requireAdmin() {
+  const ok = hasPermission("admin");
+  if (!ok) {
+    throw new Error("Forbidden");
+  }
+}
+
+export function logAdmin() {
+  const ok = hasPermission("admin");
+  console.log(ok);
+}
@@ -0,0 +1 @@
+export * from "./auth.js";
@@ -0,0 +1,5 @@
+import { hasPermission } from "./permissions.js";
+
+export const requireOwner = (id: string): void => {
+  hasPermission(`owner:${id}`);
+};
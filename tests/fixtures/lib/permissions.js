@@ -0,0 +1,3 @@
+export function hasPermission(scope) {
+  return Boolean(scope);
+}
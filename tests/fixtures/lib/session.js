@@ -0,0 +1,3 @@
+export function requireSession() {
+  isAuthenticated();
+}
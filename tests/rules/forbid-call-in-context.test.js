@@ -0,0 +1,282 @@
+import { RuleTester } from "eslint";
+import tsParser from "@typescript-eslint/parser";
+import rule from "../../lib/rules/forbid-call-in-context.js";
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: "module",
+  },
+});
+
+ruleTester.run("forbid-call-in-context", rule, {
+  valid: [
+    // Forbidden call outside of a context function
+    {
+      code: "db.raw('select 1')",
+      options: [{ check: ["query"], forbid: ["db.raw"] }],
+    },
+
+    // Other calls within the callback
+    {
+      code: "query(() => { return db.users.findMany() })",
+      options: [{ check: ["query"], forbid: ["db.raw", "console.log"] }],
+    },
+
+    // Other context functions
+    {
+      code: "command(() => { console.log('ok') })",
+      options: [{ check: ["query"], forbid: ["console.log"] }],
+    },
+
+    // Allowed after an allowIf call
+    {
+      code: "query(async () => { if (!(await hasPermission('admin'))) throw error(403); return db.raw('select 1') })",
+      options: [
+        { check: ["query"], forbid: ["db.raw"], allowIf: ["hasPermission"] },
+      ],
+    },
+
+    // Import source of the forbidden function
+    {
+      code: "import { fetch } from '$lib/api'; query(() => fetch('/users'))",
+      options: [
+        { check: ["query"], forbid: [{ name: "fetch", from: "node-fetch" }] },
+      ],
+    },
+
+    // Plain names don't match methods of other objects
+    {
+      code: "export const load = async (event) => { await event.fetch('/api'); await cache.fetch('users') }",
+      options: [{ checkFunctions: ["load"], forbid: ["fetch"] }],
+    },
+
+    // Exported functions not matching checkFunctions
+    {
+      code: "export function actions() { console.log('ok') }",
+      options: [{ checkFunctions: ["load"], forbid: ["console.log"] }],
+    },
+  ],
+  invalid: [
+    // Forbidden call in a callback passed by reference
+    {
+      code: "const handler = () => db.raw('select 1'); query(handler)",
+      options: [{ check: ["query"], forbid: ["db.raw"] }],
+      errors: [
+        {
+          messageId: "forbidden",
+          data: { name: "db.raw", context: "query" },
+          column: 23,
+        },
+      ],
+    },
+
+    // Forbidden call in a callback nested in an options object
+    {
+      code: "procedure({ handler: () => { console.log('start') } })",
+      options: [
+        {
+          check: [{ name: "procedure", callbacks: ["0.handler"] }],
+          forbid: ["console.log"],
+        },
+      ],
+      errors: [
+        {
+          messageId: "forbidden",
+          data: { name: "console.log", context: "procedure" },
+        },
+      ],
+    },
+
+    // Forbidden call in a callback
+    {
+      code: "query(() => { return db.raw('select 1') })",
+      options: [{ check: ["query"], forbid: ["db.raw"] }],
+      errors: [
+        {
+          messageId: "forbidden",
+          data: { name: "db.raw", context: "query" },
+          column: 22,
+        },
+      ],
+    },
+
+    // Several forbidden calls
+    {
+      code: "command(async () => { console.log('start'); await fetch('/api') })",
+      options: [{ check: ["command"], forbid: ["console.log", "fetch"] }],
+      errors: [
+        {
+          messageId: "forbidden",
+          data: { name: "console.log", context: "command" },
+        },
+        {
+          messageId: "forbidden",
+          data: { name: "fetch", context: "command" },
+        },
+      ],
+    },
+
+    // Inside nested functions
+    {
+      code: "query(() => ids.map((id) => db.raw(id)))",
+      options: [{ check: ["query"], forbid: ["db.raw"] }],
+      errors: [
+        {
+          messageId: "forbidden",
+          data: { name: "db.raw", context: "query" },
+        },
+      ],
+    },
+
+    // Nested context callbacks report once
+    {
+      code: "query(() => { query(() => db.raw()) })",
+      options: [{ check: ["query"], forbid: ["db.raw"] }],
+      errors: [{ messageId: "forbidden" }],
+    },
+
+    // Exported functions
+    {
+      code: "export const load = async () => { const res = await fetch('/api'); return res.json() }",
+      options: [{ checkFunctions: ["load"], forbid: ["fetch"] }],
+      errors: [
+        {
+          messageId: "forbidden",
+          data: { name: "fetch", context: "load" },
+        },
+      ],
+    },
+
+    // Plain names match global calls
+    {
+      code: "export const load = async () => { await window.fetch('/api'); await globalThis.fetch('/users') }",
+      options: [{ checkFunctions: ["load"], forbid: ["fetch"] }],
+      errors: [
+        {
+          messageId: "forbidden",
+          data: { name: "window.fetch", context: "load" },
+        },
+        {
+          messageId: "forbidden",
+          data: { name: "globalThis.fetch", context: "load" },
+        },
+      ],
+    },
+
+    // Dotted names match the end of longer calls
+    {
+      code: "query(({ ctx }) => { ctx.db.raw('select 1') })",
+      options: [{ check: ["query"], forbid: ["db.raw"] }],
+      errors: [
+        {
+          messageId: "forbidden",
+          data: { name: "ctx.db.raw", context: "query" },
+        },
+      ],
+    },
+
+    // Exported objects with functions
+    {
+      code: "export const actions = { default: () => { console.log('submitted') } }",
+      options: [{ checkFunctions: ["actions"], forbid: ["console.*"] }],
+      errors: [
+        {
+          messageId: "forbidden",
+          data: { name: "console.log", context: "actions" },
+        },
+      ],
+    },
+
+    // Patterns and renamed imports
+    {
+      code: "import { query as q } from '$app/server'; q(() => { db.raw(); db.rawUnsafe() })",
+      options: [
+        {
+          check: [{ name: "query", from: "$app/server" }],
+          forbid: ["/^db\\.raw/"],
+        },
+      ],
+      errors: [
+        {
+          messageId: "forbidden",
+          data: { name: "db.raw", context: "query" },
+        },
+        {
+          messageId: "forbidden",
+          data: { name: "db.rawUnsafe", context: "query" },
+        },
+      ],
+    },
+
+    // Called before the allowIf call
+    {
+      code: "query(async () => { const rows = await db.raw('select 1'); await hasPermission(); return rows })",
+      options: [
+        { check: ["query"], forbid: ["db.raw"], allowIf: ["hasPermission"] },
+      ],
+      errors: [
+        {
+          message: "db.raw must not be called in query before hasPermission",
+        },
+      ],
+    },
+
+    // allowIf calls in nested functions don't count
+    {
+      code: "query(() => { items.forEach(() => hasPermission()); db.raw() })",
+      options: [
+        { check: ["query"], forbid: ["db.raw"], allowIf: ["hasPermission"] },
+      ],
+      errors: [
+        {
+          messageId: "forbiddenBeforeAllowed",
+          data: {
+            name: "db.raw",
+            context: "query",
+            allowIf: "hasPermission",
+          },
+        },
+      ],
+    },
+
+    // Forbidden import source
+    {
+      code: "import fetch from 'node-fetch'; query(() => fetch('/users'))",
+      options: [
+        { check: ["query"], forbid: [{ name: "fetch", from: "node-fetch" }] },
+      ],
+      errors: [
+        {
+          messageId: "forbidden",
+          data: { name: "fetch", context: "query" },
+        },
+      ],
+    },
+  ],
+});
+
+// Tests for decorated class methods
+const decoratorTester = new RuleTester({
+  languageOptions: {
+    parser: tsParser,
+    ecmaVersion: 2022,
+    sourceType: "module",
+  },
+});
+
+decoratorTester.run("forbid-call-in-context (checkDecorated)", rule, {
+  valid: [
+    {
+      code: "class UsersController { helper() { db.raw('select 1') } @Get() findAll() { return db.all() } }",
+      options: [{ checkDecorated: ["Get"], forbid: ["db.raw"] }],
+    },
+  ],
+  invalid: [
+    {
+      code: "class UsersController { @Get() findAll() { return db.raw('select 1') } }",
+      options: [{ checkDecorated: ["Get"], forbid: ["db.raw"] }],
+      errors: [{ messageId: "forbidden", column: 51 }],
+    },
+  ],
+});
@@ -0,0 +1,227 @@
+import { RuleTester } from "eslint";
+import tsParser from "@typescript-eslint/parser";
+import rule from "../../lib/rules/require-call-after.js";
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: "module",
+  },
+});
+
+ruleTester.run("require-call-after", rule, {
+  valid: [
+    // Followed by the cleanup call
+    {
+      code: "command(async () => { await acquireLock(); await work(); await releaseLock() })",
+      options: [
+        {
+          check: ["command"],
+          pairs: [{ call: "acquireLock", followedBy: ["releaseLock"] }],
+        },
+      ],
+    },
+
+    // No call to follow up
+    {
+      code: "command(async () => { await work() })",
+      options: [
+        {
+          check: ["command"],
+          pairs: [{ call: "acquireLock", followedBy: ["releaseLock"] }],
+        },
+      ],
+    },
+
+    // Any of several cleanup calls
+    {
+      code: "command(async () => { const tx = await db.begin(); await tx.rollback() })",
+      options: [
+        {
+          check: ["command"],
+          pairs: [{ call: "begin", followedBy: ["commit", "rollback"] }],
+        },
+      ],
+    },
+
+    // In a finally block
+    {
+      code: `
+        command(async () => {
+          const lock = await acquireLock()
+          try {
+            await work()
+          } finally {
+            await lock.releaseLock()
+          }
+        })
+      `,
+      options: [
+        {
+          check: ["command"],
+          pairs: [{ call: "acquireLock", followedBy: ["releaseLock"] }],
+          inFinally: true,
+        },
+      ],
+    },
+
+    // Acquired within the try block
+    {
+      code: "command(() => { try { acquireLock(); work() } finally { releaseLock() } })",
+      options: [
+        {
+          check: ["command"],
+          pairs: [{ call: "acquireLock", followedBy: ["releaseLock"] }],
+          inFinally: true,
+        },
+      ],
+    },
+
+    // Exported functions
+    {
+      code: "export async function load() { const lock = acquireLock(); try { return await work() } finally { releaseLock(lock) } }",
+      options: [
+        {
+          checkFunctions: ["load"],
+          pairs: [{ call: "acquireLock", followedBy: ["releaseLock"] }],
+          inFinally: true,
+        },
+      ],
+    },
+  ],
+  invalid: [
+    // Missing cleanup call
+    {
+      code: "command(async () => { await acquireLock(); await work() })",
+      options: [
+        {
+          check: ["command"],
+          pairs: [{ call: "acquireLock", followedBy: ["releaseLock"] }],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingFollowUp",
+          data: { name: "acquireLock", followedBy: "releaseLock" },
+          column: 29,
+        },
+      ],
+    },
+
+    // Cleanup call before the call
+    {
+      code: "command(() => { releaseLock(); locks.acquireLock() })",
+      options: [
+        {
+          check: ["command"],
+          pairs: [{ call: "acquireLock", followedBy: ["releaseLock"] }],
+        },
+      ],
+      errors: [
+        {
+          message: "locks.acquireLock must be followed by releaseLock",
+        },
+      ],
+    },
+
+    // Cleanup call outside of a finally block
+    {
+      code: "command(async () => { await acquireLock(); await work(); await releaseLock() })",
+      options: [
+        {
+          check: ["command"],
+          pairs: [{ call: "acquireLock", followedBy: ["releaseLock"] }],
+          inFinally: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "notInFinally",
+          data: { name: "acquireLock", followedBy: "releaseLock" },
+        },
+      ],
+    },
+
+    // Several cleanup calls
+    {
+      code: "command(async () => { const tx = await db.begin(); await tx.insert(row) })",
+      options: [
+        {
+          check: ["command"],
+          pairs: [{ call: "begin", followedBy: ["commit", "rollback"] }],
+        },
+      ],
+      errors: [
+        {
+          message: "db.begin must be followed by commit or rollback",
+        },
+      ],
+    },
+
+    // Cleanup calls in nested functions don't count
+    {
+      code: "command(() => { acquireLock(); setTimeout(() => releaseLock()) })",
+      options: [
+        {
+          check: ["command"],
+          pairs: [{ call: "acquireLock", followedBy: ["releaseLock"] }],
+        },
+      ],
+      errors: [{ messageId: "missingFollowUp" }],
+    },
+
+    // Finally blocks of nested functions don't count
+    {
+      code: "command(() => { acquireLock(); run(() => { try { work() } finally { releaseLock() } }) })",
+      options: [
+        {
+          check: ["command"],
+          pairs: [{ call: "acquireLock", followedBy: ["releaseLock"] }],
+          inFinally: true,
+        },
+      ],
+      errors: [{ messageId: "missingFollowUp" }],
+    },
+  ],
+});
+
+// Tests for decorated class methods
+const decoratorTester = new RuleTester({
+  languageOptions: {
+    parser: tsParser,
+    ecmaVersion: 2022,
+    sourceType: "module",
+  },
+});
+
+decoratorTester.run("require-call-after (checkDecorated)", rule, {
+  valid: [
+    {
+      code: "class JobsController { @Post() async run() { await acquireLock(); await releaseLock() } }",
+      options: [
+        {
+          checkDecorated: ["Post"],
+          pairs: [{ call: "acquireLock", followedBy: ["releaseLock"] }],
+        },
+      ],
+    },
+  ],
+  invalid: [
+    {
+      code: "class JobsController { @Post() async run() { await acquireLock(); await work() } }",
+      options: [
+        {
+          checkDecorated: ["Post"],
+          pairs: [{ call: "acquireLock", followedBy: ["releaseLock"] }],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingFollowUp",
+          data: { name: "acquireLock", followedBy: "releaseLock" },
+          column: 52,
+        },
+      ],
+    },
+  ],
+});
@@ -1,4 +1,5 @@
-import { RuleTester } from "eslint";
+import assert from "node:assert";
+import { Linter, RuleTester } from "eslint";
 import rule from "../../lib/rules/require-call-in-context.js";
 
 const ruleTester = new RuleTester({
@@ -484,23 +485,6 @@ ruleTester.run("require-call-in-context", rule, {
       ],
     },
 
-    // Member expression mismatch
-    {
-      code: "query(() => { this.hasPermission() })",
-      options: [
-        {
-          check: ["query"],
-          enforce: ["hasPermission"],
-        },
-      ],
-      errors: [
-        {
-          messageId: "missingAtLeastOne",
-          data: { functions: "hasPermission" },
-        },
-      ],
-    },
-
     // Expression-body arrow without enforced call
     {
       code: 'query(() => console.log("test"))',
@@ -1355,3 +1339,4172 @@ typescriptTester.run("require-call-in-context (typescript satisfies)", rule, {
     },
   ],
 });
+
+// Tests for the position option
+const positionTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: "module",
+  },
+});
+
+positionTester.run("require-call-in-context (position)", rule, {
+  valid: [
+    // Enforced call is the first statement
+    {
+      code: "query(async () => { await hasPermission(); db.delete() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          position: "first",
+        },
+      ],
+    },
+
+    // Guard statement testing the enforced call comes first
+    {
+      code: "query(async () => { if (!(await hasPermission())) throw error(403); db.delete() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          position: "first",
+        },
+      ],
+    },
+
+    // Expression-body arrow function is always first
+    {
+      code: "query(() => hasPermission())",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          position: "first",
+        },
+      ],
+    },
+
+    // requireAll with all enforced calls leading the body
+    {
+      code: "query(() => { isAuthenticated(); hasPermission(); db.delete() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission", "isAuthenticated"],
+          requireAll: true,
+          position: "first",
+        },
+      ],
+    },
+
+    // Leading enforced call followed by a guard statement
+    {
+      code: "query(async () => { isAuthenticated(); if (!(await hasPermission())) return null; db.delete() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission", "isAuthenticated"],
+          requireAll: true,
+          position: "first",
+        },
+      ],
+    },
+
+    // Statements without side effects may precede the enforced call
+    {
+      code: "query((id) => { const key = `user:${id}`; hasPermission(key); db.delete(key) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          position: "beforeAny",
+        },
+      ],
+    },
+
+    // Awaited enforced call and returned result
+    {
+      code: "query(async () => { const ok = await hasPermission(); return ok })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          position: "beforeAny",
+        },
+      ],
+    },
+
+    // Returning the enforced call itself
+    {
+      code: "query(() => { return hasPermission() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          position: "beforeAny",
+        },
+      ],
+    },
+
+    // Order is not checked by default
+    {
+      code: "query(() => { db.delete(); hasPermission() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+  ],
+  invalid: [
+    // Enforced call in the body of a guard statement, not its test
+    {
+      code: "query(async (id) => { if (!id) { await hasPermission() } db.delete() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          position: "first",
+        },
+      ],
+      errors: [
+        {
+          messageId: "notFirst",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Enforced call after another call
+    {
+      code: "query(() => { db.delete(); hasPermission() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          position: "beforeAny",
+        },
+      ],
+      errors: [
+        {
+          messageId: "calledAfterSideEffect",
+          data: { functions: "hasPermission" },
+          column: 28,
+        },
+      ],
+    },
+
+    // Side effect in the enforced call's own arguments
+    {
+      code: "query(async (id) => { await hasPermission(await db.user.delete(id)) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          position: "beforeAny",
+        },
+      ],
+      errors: [
+        {
+          messageId: "calledAfterSideEffect",
+          data: { functions: "hasPermission" },
+          column: 29,
+        },
+      ],
+    },
+
+    // Enforced call after an await
+    // Enforced call after an await
+    {
+      code: "query(async () => { const user = await db.user(); hasPermission(user) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          position: "beforeAny",
+        },
+      ],
+      errors: [
+        {
+          messageId: "calledAfterSideEffect",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Enforced call after an early return
+    {
+      code: "query((id) => { if (!id) { return null } hasPermission() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          position: "beforeAny",
+        },
+      ],
+      errors: [
+        {
+          messageId: "calledAfterSideEffect",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // requireAll with one enforced call after a side effect
+    {
+      code: "query(() => { isAuthenticated(); db.delete(); hasPermission() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission", "isAuthenticated"],
+          requireAll: true,
+          position: "beforeAny",
+        },
+      ],
+      errors: [
+        {
+          messageId: "calledAfterSideEffect",
+          data: { functions: "hasPermission, isAuthenticated" },
+        },
+      ],
+    },
+
+    // Any statement before the enforced call is reported with "first"
+    {
+      code: "query((id) => { const key = `user:${id}`; hasPermission(key) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          position: "first",
+        },
+      ],
+      errors: [
+        {
+          messageId: "notFirst",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Conditional enforced call is not first
+    {
+      code: "query((id) => { if (id) { hasPermission() } })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          position: "first",
+        },
+      ],
+      errors: [
+        {
+          messageId: "notFirst",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+  ],
+});
+
+// Tests for the allPaths option
+const allPathsTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: "module",
+  },
+});
+
+allPathsTester.run("require-call-in-context (allPaths)", rule, {
+  valid: [
+    // Unconditional enforced call
+    {
+      code: "query((id) => { hasPermission(); if (id) { return db.get(id) } return null })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          allPaths: true,
+        },
+      ],
+    },
+
+    // Enforced call on both branches
+    {
+      code: "query((id) => { if (id) { hasPermission(id) } else { hasPermission() } return db.get(id) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          allPaths: true,
+        },
+      ],
+    },
+
+    // Different enforced calls per branch when any one is enough
+    {
+      code: "query((user) => { if (user) { hasPermission() } else { isAuthenticated() } })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission", "isAuthenticated"],
+          allPaths: true,
+        },
+      ],
+    },
+
+    // Every switch case calls the enforced function
+    {
+      code: `
+        query((type) => {
+          switch (type) {
+            case "a":
+              hasPermission("a")
+              return db.a()
+            default:
+              hasPermission("b")
+              return db.b()
+          }
+        })
+      `,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          allPaths: true,
+        },
+      ],
+    },
+
+    // Enforced call before a loop
+    {
+      code: "query((ids) => { hasPermission(); for (const id of ids) { if (!id) { return } } })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          allPaths: true,
+        },
+      ],
+    },
+
+    // Expression-body arrow function
+    {
+      code: "query(() => hasPermission())",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          allPaths: true,
+        },
+      ],
+    },
+
+    // Paths are not checked by default
+    {
+      code: "query((x) => { if (x) { hasPermission() } })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+  ],
+  invalid: [
+    // Implicit else path skips the enforced call
+    {
+      code: "query((x) => { if (x) { hasPermission() } })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          allPaths: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "unguardedEnd",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Return on the unguarded branch
+    {
+      code: "query((x) => { if (x) { hasPermission() } else { return db.all() } return db.get(x) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          allPaths: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "unguardedExit",
+          data: { exit: "return", functions: "hasPermission" },
+          column: 50,
+        },
+      ],
+    },
+
+    // Throw before the enforced call
+    {
+      code: "query((x) => { if (!x) { throw new Error() } hasPermission() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          allPaths: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "unguardedExit",
+          data: { exit: "throw", functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Switch case without the enforced call
+    {
+      code: `
+        query((type) => {
+          switch (type) {
+            case "a":
+              hasPermission("a")
+              return db.a()
+            default:
+              return db.b()
+          }
+        })
+      `,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          allPaths: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "unguardedExit",
+          data: { exit: "return", functions: "hasPermission" },
+          line: 8,
+        },
+      ],
+    },
+
+    // Enforced call only inside a loop body
+    {
+      code: "query((ids) => { for (const id of ids) { hasPermission(id) } return db.all() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          allPaths: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "unguardedExit",
+          data: { exit: "return", functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // requireAll with one enforced call on a single branch
+    {
+      code: "query((x) => { isAuthenticated(); if (x) { hasPermission() } return db.get(x) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission", "isAuthenticated"],
+          requireAll: true,
+          allPaths: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "unguardedExit",
+          data: { exit: "return", functions: "hasPermission, isAuthenticated" },
+        },
+      ],
+    },
+
+    // Enforced call that can throw into a swallowing catch
+    {
+      code: "query((x) => { try { hasPermission() } catch (e) {} return db.get(x) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          allPaths: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "unguardedExit",
+          data: { exit: "return", functions: "hasPermission" },
+        },
+      ],
+    },
+  ],
+});
+
+// Tests for enforced calls nested in expressions
+const expressionTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: "module",
+  },
+});
+
+expressionTester.run("require-call-in-context (expressions)", rule, {
+  valid: [
+    // Guard clause in an if test
+    {
+      code: "query(() => { if (!hasPermission()) throw new Error('Forbidden'); return db.get() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+
+    // Logical expression in a variable initializer
+    {
+      code: "query((user) => { const ok = user && hasPermission(user); return ok })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+
+    // Inside an array argument
+    {
+      code: "query(async () => { await Promise.all([hasPermission(), db.get()]) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+
+    // Inside a template literal
+    {
+      code: "query(() => { log(`allowed: ${hasPermission()}`) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+
+    // Inside a call argument
+    {
+      code: "query(() => { return respond(hasPermission('read')) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+
+    // Guard positions with guardsOnly
+    {
+      code: "query(async () => { if (!(await hasPermission())) throw new Error() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          guardsOnly: true,
+        },
+      ],
+    },
+
+    // Ternary test with guardsOnly
+    {
+      code: "query(() => hasPermission() ? db.get() : null)",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          guardsOnly: true,
+        },
+      ],
+    },
+
+    // Loop test with guardsOnly
+    {
+      code: "query(async () => { for (; !(await hasPermission()); ) await retry() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          guardsOnly: true,
+        },
+      ],
+    },
+
+    // Statement roots still count with guardsOnly
+    {
+      code: "query(() => { hasPermission() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          guardsOnly: true,
+        },
+      ],
+    },
+
+    // Logical guard on every path
+    {
+      code: "query((x) => { hasPermission() || deny(); return db.get(x) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          allPaths: true,
+        },
+      ],
+    },
+  ],
+  invalid: [
+    // Calls inside nested functions still don't count
+    {
+      code: "query((items) => { items.forEach(() => hasPermission()) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Array element is not a guard position
+    {
+      code: "query(async () => { await Promise.all([hasPermission(), db.get()]) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          guardsOnly: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Call argument is not a guard position
+    {
+      code: "query(() => { log(hasPermission()) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          guardsOnly: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Enforced call on only one side of a logical expression
+    {
+      code: "query((x) => { x && hasPermission(); return db.get(x) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          allPaths: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "unguardedExit",
+          data: { exit: "return", functions: "hasPermission" },
+        },
+      ],
+    },
+  ],
+});
+
+// Tests for following local helper functions
+const followLocalCallsTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: "module",
+  },
+});
+
+followLocalCallsTester.run("require-call-in-context (followLocalCalls)", rule, {
+  valid: [
+    // Function declaration helper
+    {
+      code: `
+          function requireAdmin() { hasPermission('admin') }
+          query(() => { requireAdmin(); return db.users() })
+        `,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          followLocalCalls: true,
+        },
+      ],
+    },
+
+    // Const arrow helper declared after use
+    {
+      code: `
+          query(async () => { await requireAdmin() })
+          const requireAdmin = async () => { if (!(await hasPermission())) throw new Error() }
+        `,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          followLocalCalls: true,
+        },
+      ],
+    },
+
+    // Class method through this
+    {
+      code: `
+          class Controller {
+            guard() { return hasPermission() }
+            list() { return query(() => { this.guard(); return db.all() }) }
+          }
+        `,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          followLocalCalls: true,
+        },
+      ],
+    },
+
+    // Static class method
+    {
+      code: `
+          class Auth { static require() { hasPermission() } }
+          query(() => { Auth.require() })
+        `,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          followLocalCalls: true,
+        },
+      ],
+    },
+
+    // Transitive helpers with requireAll
+    {
+      code: `
+          function requireUser() { isAuthenticated() }
+          function requireAdmin() { requireUser(); hasPermission('admin') }
+          query(() => { requireAdmin() })
+        `,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission", "isAuthenticated"],
+          requireAll: true,
+          followLocalCalls: true,
+        },
+      ],
+    },
+
+    // Helper counts as the enforced call for position checks
+    {
+      code: `
+          function requireAdmin() { hasPermission('admin') }
+          query(() => { requireAdmin(); db.delete() })
+        `,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          followLocalCalls: true,
+          position: "first",
+        },
+      ],
+    },
+
+    // Helper counts on every code path
+    {
+      code: `
+          function requireAdmin() { hasPermission('admin') }
+          query((x) => { requireAdmin(); if (x) { return db.get(x) } })
+        `,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          followLocalCalls: true,
+          allPaths: true,
+        },
+      ],
+    },
+  ],
+  invalid: [
+    // Helpers are not followed by default
+    {
+      code: `
+          function requireAdmin() { hasPermission('admin') }
+          query(() => { requireAdmin() })
+        `,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Helper without the enforced call
+    {
+      code: `
+          const log = () => { console.log('called') }
+          query(() => { log() })
+        `,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          followLocalCalls: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Recursive helpers without the enforced call
+    {
+      code: `
+          function a(n) { if (n) b(n - 1) }
+          function b(n) { a(n) }
+          query(() => { a(3) })
+        `,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          followLocalCalls: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Enforced call beyond the maximum depth
+    {
+      code: `
+          function level2() { hasPermission() }
+          function level1() { level2() }
+          query(() => { level1() })
+        `,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          followLocalCalls: true,
+          maxFollowDepth: 1,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Reassigned helpers are not followed
+    {
+      code: `
+          let requireAdmin = () => { hasPermission() }
+          requireAdmin = () => {}
+          query(() => { requireAdmin() })
+        `,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          followLocalCalls: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+  ],
+});
+
+// Tests for following helpers through imports
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const fixturesDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../fixtures",
+);
+const routeFilename = path.join(fixturesDir, "routes/page.js");
+
+const followImportsTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: "module",
+  },
+});
+
+followImportsTester.run("require-call-in-context (followImports)", rule, {
+  valid: [
+    // Named import calling the enforced function through a local helper
+    {
+      code: `
+        import { requireAdmin } from "../lib/auth";
+        query(() => { requireAdmin() })
+      `,
+      filename: routeFilename,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          followImports: true,
+        },
+      ],
+    },
+
+    // Default import and re-exported alias
+    {
+      code: `
+        import guard, { adminOnly } from "../lib/auth.js";
+        query(() => { guard() })
+        query(() => { adminOnly() })
+      `,
+      filename: routeFilename,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          followImports: true,
+        },
+      ],
+    },
+
+    // Namespace import through a second module
+    {
+      code: `
+        import * as auth from "../lib/auth";
+        query(() => { auth.requireUser() })
+      `,
+      filename: routeFilename,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["isAuthenticated"],
+          followImports: true,
+        },
+      ],
+    },
+
+    // Aliased import of a barrel file
+    {
+      code: `
+        import { requireAdmin } from "$lib";
+        query(() => { requireAdmin() })
+      `,
+      filename: routeFilename,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          followImports: true,
+          importAliases: { $lib: path.join(fixturesDir, "lib") },
+        },
+      ],
+    },
+  ],
+  invalid: [
+    // Imports are not followed by default
+    {
+      code: `
+        import { requireAdmin } from "../lib/auth";
+        query(() => { requireAdmin() })
+      `,
+      filename: routeFilename,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          followLocalCalls: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Imported function without the enforced call
+    {
+      code: `
+        import { logAccess } from "../lib/auth";
+        query(() => { logAccess() })
+      `,
+      filename: routeFilename,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          followImports: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Unresolvable package import
+    {
+      code: `
+        import { requireAdmin } from "some-package";
+        query(() => { requireAdmin() })
+      `,
+      filename: routeFilename,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          followImports: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Enforced call beyond the maximum depth
+    {
+      code: `
+        import { requireAdmin } from "../lib/auth";
+        query(() => { requireAdmin() })
+      `,
+      filename: routeFilename,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          followImports: true,
+          maxFollowDepth: 1,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+  ],
+});
+
+const followImportsTypescriptTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: "module",
+    parser: tsParser,
+  },
+});
+
+followImportsTypescriptTester.run(
+  "require-call-in-context (followImports typescript)",
+  rule,
+  {
+    valid: [
+      // TypeScript module parsed with the configured parser
+      {
+        code: `
+          import { requireOwner } from "../lib/owner.js";
+          query((id: string) => { requireOwner(id) })
+        `,
+        filename: path.join(fixturesDir, "routes/page.ts"),
+        options: [
+          {
+            check: ["query"],
+            enforce: ["hasPermission"],
+            followImports: true,
+          },
+        ],
+      },
+    ],
+    invalid: [],
+  },
+);
+
+// Tests for guard function aliases
+const guardsTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: "module",
+  },
+});
+
+guardsTester.run("require-call-in-context (guards)", rule, {
+  valid: [
+    // Guard satisfies one enforced function
+    {
+      code: "query(() => { requireAdmin() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          guards: { requireAdmin: ["hasPermission"] },
+        },
+      ],
+    },
+
+    // Guard satisfies all enforced functions with requireAll
+    {
+      code: "query(async () => { await requireAdmin() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission", "isAuthenticated"],
+          requireAll: true,
+          guards: { requireAdmin: ["hasPermission", "isAuthenticated"] },
+        },
+      ],
+    },
+
+    // Guard combined with a direct enforced call
+    {
+      code: "query(() => { requireUser(); hasPermission() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission", "isAuthenticated"],
+          requireAll: true,
+          guards: { requireUser: ["isAuthenticated"] },
+        },
+      ],
+    },
+
+    // Guard called through a namespace import
+    {
+      code: "query(() => { auth.requireAdmin() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          guards: { requireAdmin: ["hasPermission"] },
+        },
+      ],
+    },
+
+    // Guard counts as the enforced call on every path
+    {
+      code: "query((x) => { requireAdmin(); if (x) { return db.get(x) } })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          allPaths: true,
+          guards: { requireAdmin: ["hasPermission"] },
+        },
+      ],
+    },
+  ],
+  invalid: [
+    // Guard satisfies only one of the required functions
+    {
+      code: "query(() => { requireUser() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission", "isAuthenticated"],
+          requireAll: true,
+          guards: { requireUser: ["isAuthenticated"] },
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAll",
+          data: {
+            functions:
+              "hasPermission, isAuthenticated (requireUser satisfies isAuthenticated)",
+          },
+        },
+      ],
+    },
+
+    // Guard for an unrelated function
+    {
+      code: "query(() => { requireUser() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          guards: {
+            requireUser: ["isAuthenticated"],
+            requireAdmin: ["hasPermission", "isAuthenticated"],
+          },
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: {
+            functions: "hasPermission (requireAdmin satisfies hasPermission)",
+          },
+        },
+      ],
+    },
+
+    // Guard called after a side effect
+    {
+      code: "query(() => { db.delete(); requireAdmin() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          position: "beforeAny",
+          guards: { requireAdmin: ["hasPermission"] },
+        },
+      ],
+      errors: [
+        {
+          messageId: "calledAfterSideEffect",
+          data: {
+            functions: "hasPermission (requireAdmin satisfies hasPermission)",
+          },
+        },
+      ],
+    },
+  ],
+});
+
+// Tests for import-source-aware matching
+const importSourceTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: "module",
+  },
+});
+
+importSourceTester.run("require-call-in-context (import sources)", rule, {
+  valid: [
+    // Named import from the configured module
+    {
+      code: `
+        import { hasPermission } from "$lib/auth";
+        query(() => { hasPermission() })
+      `,
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", from: "$lib/auth" }],
+        },
+      ],
+    },
+
+    // Namespace import from the configured module
+    {
+      code: `
+        import * as auth from "$lib/auth";
+        query(() => { auth.hasPermission() })
+      `,
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", from: "$lib/auth" }],
+        },
+      ],
+    },
+
+    // Glob source pattern
+    {
+      code: `
+        import { hasPermission } from "$lib/server/auth";
+        query(() => { hasPermission() })
+      `,
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", from: "$lib/**/auth" }],
+        },
+      ],
+    },
+
+    // Regular expression source pattern
+    {
+      code: `
+        import { hasPermission } from "../../lib/auth.js";
+        query(() => { hasPermission() })
+      `,
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", from: "/\\/auth(\\.js)?$/" }],
+        },
+      ],
+    },
+
+    // Context function from another module is not checked
+    {
+      code: `
+        import { query } from "some-other-lib";
+        query(() => { console.log("not checked") })
+      `,
+      options: [
+        {
+          check: [{ name: "query", from: "$app/server" }],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+
+    // Mixed string and object entries
+    {
+      code: `
+        import { query } from "$app/server";
+        query(() => { isAuthenticated() })
+      `,
+      options: [
+        {
+          check: [{ name: "query", from: "$app/server" }],
+          enforce: [
+            { name: "hasPermission", from: "$lib/auth" },
+            "isAuthenticated",
+          ],
+        },
+      ],
+    },
+  ],
+  invalid: [
+    // Local object with a same-named method
+    {
+      code: `
+        const mock = { hasPermission() { return true } };
+        query(() => { mock.hasPermission() })
+      `,
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", from: "$lib/auth" }],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Same-named function from another package
+    {
+      code: `
+        import { hasPermission } from "some-other-lib";
+        query(() => { hasPermission() })
+      `,
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", from: "$lib/auth" }],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Global function that isn't imported
+    {
+      code: "query(() => { hasPermission() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", from: "$lib/auth" }],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Context function from the configured module is checked
+    {
+      code: `
+        import { query } from "$app/server";
+        query(() => { console.log("checked") })
+      `,
+      options: [
+        {
+          check: [{ name: "query", from: "$app/server" }],
+          enforce: ["hasPermission"],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+  ],
+});
+
+// Tests for renamed imports and local aliases
+const aliasTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: "module",
+  },
+});
+
+aliasTester.run("require-call-in-context (aliases)", rule, {
+  valid: [
+    // Renamed named import
+    {
+      code: `
+        import { hasPermission as can } from "$lib/auth";
+        query(() => { can("read") })
+      `,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+
+    // Renamed import with an import source
+    {
+      code: `
+        import { hasPermission as can } from "$lib/auth";
+        query(() => { can("read") })
+      `,
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", from: "$lib/auth" }],
+        },
+      ],
+    },
+
+    // Local alias of an imported function
+    {
+      code: `
+        import { hasPermission } from "$lib/auth";
+        const can = hasPermission;
+        query(() => { can("read") })
+      `,
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", from: "$lib/auth" }],
+        },
+      ],
+    },
+
+    // Destructured from a namespace import
+    {
+      code: `
+        import * as auth from "$lib/auth";
+        const { hasPermission } = auth;
+        query(() => { hasPermission() })
+      `,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["auth.hasPermission"],
+        },
+      ],
+    },
+
+    // Renamed destructured property
+    {
+      code: `
+        const { hasPermission: can } = auth;
+        query(() => { can() })
+      `,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+
+    // Renamed context function with an enforced call
+    {
+      code: `
+        import { query as q } from "$app/server";
+        q(() => { hasPermission() })
+      `,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+  ],
+  invalid: [
+    // Renamed context function is still checked
+    {
+      code: `
+        import { query as q } from "$app/server";
+        q(() => { console.log("checked") })
+      `,
+      options: [
+        {
+          check: [{ name: "query", from: "$app/server" }],
+          enforce: ["hasPermission"],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Alias of a different function
+    {
+      code: `
+        import { isAdmin as hasPermission } from "$lib/auth";
+        query(() => { hasPermission() })
+      `,
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Alias of a same-named function from another module
+    {
+      code: `
+        import { hasPermission as check } from "some-other-lib";
+        const can = check;
+        query(() => { can() })
+      `,
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", from: "$lib/auth" }],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+  ],
+});
+
+// Tests for glob and regular expression patterns
+const patternTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: "module",
+  },
+});
+
+patternTester.run("require-call-in-context (patterns)", rule, {
+  valid: [
+    // Glob does not match a different segment count
+    {
+      code: "internal.jobs.run(() => { console.log('not checked') })",
+      options: [
+        {
+          check: ["internal.*"],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+
+    // Double star glob across segments
+    {
+      code: "internal.jobs.run(() => { hasPermission() })",
+      options: [
+        {
+          check: ["internal.**"],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+
+    // Regular expression context names
+    {
+      code: "adminQuery(() => { hasPermission() }); admin(() => { console.log('not checked') })",
+      options: [
+        {
+          check: ["/^admin[A-Z]/"],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+
+    // Enforced pattern matches direct and namespace calls
+    {
+      code: "query(() => { canEdit() }); query(() => { auth.canDelete() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["/^can[A-Z]/"],
+        },
+      ],
+    },
+
+    // Glob enforced names
+    {
+      code: "query(() => { auth.check() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["auth.*"],
+        },
+      ],
+    },
+
+    // Literal and pattern names mixed
+    {
+      code: "query.batch(() => { isAuthenticated() })",
+      options: [
+        {
+          check: ["query", "*.batch"],
+          enforce: ["hasPermission", "is*"],
+        },
+      ],
+    },
+
+    // Exported function name patterns
+    {
+      code: "export const loadUsers = () => { hasPermission() }",
+      options: [
+        {
+          checkFunctions: ["load*"],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+  ],
+  invalid: [
+    // Glob context name
+    {
+      code: "users.query(() => { console.log('checked') })",
+      options: [
+        {
+          check: ["*.query"],
+          enforce: ["hasPermission"],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Regular expression context name
+    {
+      code: "adminCommand(() => { console.log('checked') })",
+      options: [
+        {
+          check: ["/^admin[A-Z]/"],
+          enforce: ["hasPermission"],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Enforced pattern not matched
+    {
+      code: "query(() => { cancel() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["/^can[A-Z]/"],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "/^can[A-Z]/" },
+        },
+      ],
+    },
+
+    // requireAll with a pattern and a literal name
+    {
+      code: "query(() => { canEdit() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["/^can[A-Z]/", "isAuthenticated"],
+          requireAll: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAll",
+          data: { functions: "/^can[A-Z]/, isAuthenticated" },
+        },
+      ],
+    },
+
+    // Exported function name patterns
+    {
+      code: "export function loadUsers() { db.users() }",
+      options: [
+        {
+          checkFunctions: ["load*"],
+          enforce: ["hasPermission"],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Global flag doesn't carry over between matched names
+    {
+      code: "export function adminUsers() { db.users() }\nexport function adminPosts() { db.posts() }",
+      options: [
+        {
+          checkFunctions: ["/^admin/g"],
+          enforce: ["hasPermission"],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+          line: 1,
+        },
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+          line: 2,
+        },
+      ],
+    },
+  ],
+});
+
+// Malformed regular expressions fail with the pattern named
+assert.throws(
+  () =>
+    new Linter().verify("query(() => { db.all() })", {
+      plugins: {
+        "enforce-call": { rules: { "require-call-in-context": rule } },
+      },
+      rules: {
+        "enforce-call/require-call-in-context": [
+          "error",
+          { check: ["query"], enforce: ["/[/"] },
+        ],
+      },
+    }),
+  /Invalid regular expression pattern "\/\[\/" in rule options/,
+);
+
+// Tests for optional chains, computed keys and this, super and call roots
+const memberTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: "module",
+  },
+});
+
+memberTester.run("require-call-in-context (member expressions)", rule, {
+  valid: [
+    // Optional chaining
+    {
+      code: "query(() => { auth?.hasPermission() })",
+      options: [{ check: ["query"], enforce: ["hasPermission"] }],
+    },
+
+    // Optional call
+    {
+      code: "query(() => { auth.hasPermission?.() })",
+      options: [{ check: ["query"], enforce: ["auth.hasPermission"] }],
+    },
+
+    // String literal computed key
+    {
+      code: "query(() => { auth['hasPermission']() })",
+      options: [{ check: ["query"], enforce: ["auth.hasPermission"] }],
+    },
+
+    // Template literal computed key
+    {
+      code: "query(() => { auth[`hasPermission`]() })",
+      options: [{ check: ["query"], enforce: ["hasPermission"] }],
+    },
+
+    // this root with a namespace
+    {
+      code: "class A { list() { query(() => { this.auth.hasPermission() }) } }",
+      options: [{ check: ["query"], enforce: ["hasPermission"] }],
+    },
+
+    // Leading this is not a namespace
+    {
+      code: "class A { list() { query(() => { this.hasPermission() }) } }",
+      options: [{ check: ["query"], enforce: ["hasPermission"] }],
+    },
+
+    // Dotted name matching the end of a deep member chain
+    {
+      code: "query(() => { ctx.locals.auth.check() })",
+      options: [{ check: ["query"], enforce: ["auth.check"] }],
+    },
+
+    // Dotted name matching a this-rooted call
+    {
+      code: "class A { list() { query(() => { this.auth.check() }) } }",
+      options: [{ check: ["query"], enforce: ["auth.check"] }],
+    },
+
+    // Explicit this name
+    {
+      code: "class A { list() { query(() => { this.hasPermission() }) } }",
+      options: [{ check: ["query"], enforce: ["this.hasPermission"] }],
+    },
+
+    // super root
+    {
+      code: "class A extends B { list() { query(() => { super.auth.check() }) } }",
+      options: [{ check: ["query"], enforce: ["super.auth.check"] }],
+    },
+
+    // Deep member chain
+    {
+      code: "query(() => { ctx.locals.auth.check() })",
+      options: [{ check: ["query"], enforce: ["check"] }],
+    },
+
+    // Call-chain root
+    {
+      code: "query(() => { getAuth().hasPermission() })",
+      options: [{ check: ["query"], enforce: ["hasPermission"] }],
+    },
+
+    // Call-chain root by full name
+    {
+      code: "query(() => { getAuth().hasPermission() })",
+      options: [{ check: ["query"], enforce: ["getAuth().hasPermission"] }],
+    },
+
+    // Optional chain in a statement for position: "first"
+    {
+      code: "query(() => { auth?.hasPermission(); return db.all() })",
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], position: "first" },
+      ],
+    },
+
+    // Dynamic computed keys are not named
+    {
+      code: "query[method](() => { console.log('not checked') })",
+      options: [{ check: ["query.method"], enforce: ["hasPermission"] }],
+    },
+
+    // Call-chain root with an import source
+    {
+      code: "import { getAuth } from '$lib/auth'; query(() => { getAuth().hasPermission() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", from: "$lib/auth" }],
+        },
+      ],
+    },
+  ],
+  invalid: [
+    // Optional chained context
+    {
+      code: "router?.query(() => { db.all() })",
+      options: [{ check: ["router.query"], enforce: ["hasPermission"] }],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // String literal computed context
+    {
+      code: "router['query'](() => { db.all() })",
+      options: [{ check: ["router.query"], enforce: ["hasPermission"] }],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // this-rooted context
+    {
+      code: "class A { list() { this.router.query(() => { db.all() }) } }",
+      options: [{ check: ["this.router.query"], enforce: ["hasPermission"] }],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Call-chain rooted context
+    {
+      code: "getRouter().query(() => { db.all() })",
+      options: [{ check: ["getRouter().query"], enforce: ["hasPermission"] }],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Dotted names only match on part boundaries
+    {
+      code: "query(() => { oauth.check() })",
+      options: [{ check: ["query"], enforce: ["auth.check"] }],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "auth.check" },
+        },
+      ],
+    },
+
+    // Dynamic computed keys don't match
+    {
+      code: "query(() => { auth[name]() })",
+      options: [{ check: ["query"], enforce: ["auth.name"] }],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "auth.name" },
+        },
+      ],
+    },
+
+    // Call-chain root imported from a different source
+    {
+      code: "import { getAuth } from 'mock-auth'; query(() => { getAuth().hasPermission() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", from: "$lib/auth" }],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "hasPermission" },
+        },
+      ],
+    },
+  ],
+});
+
+// Tests for argument constraints on enforced calls
+const argumentsTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: "module",
+  },
+});
+
+argumentsTester.run("require-call-in-context (arguments)", rule, {
+  valid: [
+    // Allowed literal value
+    {
+      code: "adminCommand(() => { hasPermission('admin') })",
+      options: [
+        {
+          check: ["adminCommand"],
+          enforce: [{ name: "hasPermission", args: [{ oneOf: ["admin"] }] }],
+        },
+      ],
+    },
+
+    // Typed argument
+    {
+      code: "query(() => { hasPermission(`read`) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [
+            {
+              name: "hasPermission",
+              args: [{ type: "string", oneOf: ["read", "write"] }],
+            },
+          ],
+        },
+      ],
+    },
+
+    // Minimum argument count with any expression
+    {
+      code: "query(() => { hasPermission(scope) })",
+      options: [
+        { check: ["query"], enforce: [{ name: "hasPermission", minArgs: 1 }] },
+      ],
+    },
+
+    // Argument presence only
+    {
+      code: "query(() => { auth.hasPermission(user, 'read') })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", args: [{}, { type: "string" }] }],
+        },
+      ],
+    },
+
+    // Number and negative values
+    {
+      code: "query(() => { requireLevel(-1) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "requireLevel", args: [{ oneOf: [-1, 0, 1] }] }],
+        },
+      ],
+    },
+
+    // Another enforced function satisfies the requirement
+    {
+      code: "query(() => { hasPermission(); isAuthenticated() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", minArgs: 1 }, "isAuthenticated"],
+        },
+      ],
+    },
+
+    // Guards satisfy constrained functions
+    {
+      code: "query(() => { requireAdmin() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", minArgs: 1 }],
+          guards: { requireAdmin: ["hasPermission"] },
+        },
+      ],
+    },
+  ],
+  invalid: [
+    // Bare call
+    {
+      code: "adminCommand(() => { hasPermission() })",
+      options: [
+        {
+          check: ["adminCommand"],
+          enforce: [
+            {
+              name: "hasPermission",
+              args: [{ type: "string", oneOf: ["admin"] }],
+            },
+          ],
+        },
+      ],
+      errors: [
+        {
+          messageId: "invalidArguments",
+          data: {
+            name: "hasPermission",
+            expected: 'argument 1 as one of "admin"',
+          },
+          column: 22,
+        },
+      ],
+    },
+
+    // Wrong scope
+    {
+      code: "adminCommand(() => { hasPermission('read') })",
+      options: [
+        {
+          check: ["adminCommand"],
+          enforce: [{ name: "hasPermission", args: [{ oneOf: ["admin"] }] }],
+        },
+      ],
+      errors: [
+        {
+          messageId: "invalidArguments",
+          data: {
+            name: "hasPermission",
+            expected: 'argument 1 as one of "admin"',
+          },
+        },
+      ],
+    },
+
+    // Dynamic value where a literal is required
+    {
+      code: "query(() => { hasPermission(scope) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", args: [{ type: "string" }] }],
+        },
+      ],
+      errors: [
+        {
+          messageId: "invalidArguments",
+          data: { name: "hasPermission", expected: "argument 1 as a string" },
+        },
+      ],
+    },
+
+    // Minimum argument count
+    {
+      code: "query(() => { auth.hasPermission() })",
+      options: [
+        { check: ["query"], enforce: [{ name: "hasPermission", minArgs: 2 }] },
+      ],
+      errors: [
+        {
+          messageId: "invalidArguments",
+          data: { name: "hasPermission", expected: "at least 2 arguments" },
+        },
+      ],
+    },
+
+    // Other enforced functions are still missing
+    {
+      code: "query(() => { hasPermission() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", minArgs: 1 }, "isAuthenticated"],
+          requireAll: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAll",
+          data: { functions: "hasPermission, isAuthenticated" },
+        },
+        {
+          messageId: "invalidArguments",
+          data: { name: "hasPermission", expected: "at least 1 argument" },
+        },
+      ],
+    },
+  ],
+});
+
+// Tests for binding enforced call arguments to the callback's parameters
+const paramsTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: "module",
+  },
+});
+
+paramsTester.run("require-call-in-context (parameters)", rule, {
+  valid: [
+    // The parameter itself
+    {
+      code: "action(async (event) => { await hasPermission(event) })",
+      options: [
+        {
+          check: ["action"],
+          enforce: [{ name: "hasPermission", args: [{ param: 0 }] }],
+        },
+      ],
+    },
+
+    // A property of the parameter
+    {
+      code: "procedure.query(({ ctx, input }) => { hasPermission(ctx.user?.id, input) })",
+      options: [
+        {
+          check: ["procedure.query"],
+          enforce: [{ name: "hasPermission", args: [{ param: 0 }] }],
+        },
+      ],
+    },
+
+    // Parameter at another position
+    {
+      code: "router.get('/', (req, res) => { authorize('read', req.user) })",
+      options: [
+        {
+          check: ["router.get"],
+          enforce: [
+            {
+              name: "authorize",
+              args: [{ oneOf: ["read"] }, { param: 0 }],
+            },
+          ],
+        },
+      ],
+    },
+
+    // Exported functions
+    {
+      code: "export const load = async (event) => { await hasPermission(event.locals) }",
+      options: [
+        {
+          checkFunctions: ["load"],
+          enforce: [{ name: "hasPermission", args: [{ param: 0 }] }],
+        },
+      ],
+    },
+
+    // All code paths
+    {
+      code: "action((event) => { hasPermission(event); if (x) { return } })",
+      options: [
+        {
+          check: ["action"],
+          enforce: [{ name: "hasPermission", args: [{ param: 0 }] }],
+          allPaths: true,
+        },
+      ],
+    },
+  ],
+  invalid: [
+    // Another object
+    {
+      code: "action(async (event) => { await hasPermission(request) })",
+      options: [
+        {
+          check: ["action"],
+          enforce: [{ name: "hasPermission", args: [{ param: 0 }] }],
+        },
+      ],
+      errors: [
+        {
+          messageId: "invalidArguments",
+          data: {
+            name: "hasPermission",
+            expected: "argument 1 referencing event",
+          },
+        },
+      ],
+    },
+
+    // Values derived from the parameter
+    {
+      code: "action((event) => { const check = (event) => event; hasPermission(check(event)) })",
+      options: [
+        {
+          check: ["action"],
+          enforce: [{ name: "hasPermission", args: [{ param: 0 }] }],
+        },
+      ],
+      errors: [
+        {
+          messageId: "invalidArguments",
+          data: {
+            name: "hasPermission",
+            expected: "argument 1 referencing event",
+          },
+        },
+      ],
+    },
+
+    // Wrong parameter
+    {
+      code: "router.get('/', (req, res) => { authorize(res) })",
+      options: [
+        {
+          check: ["router.get"],
+          enforce: [{ name: "authorize", args: [{ param: 0 }] }],
+        },
+      ],
+      errors: [
+        {
+          messageId: "invalidArguments",
+          data: { name: "authorize", expected: "argument 1 referencing req" },
+        },
+      ],
+    },
+
+    // Destructured parameter
+    {
+      code: "procedure.query(({ ctx }, other) => { hasPermission(other) })",
+      options: [
+        {
+          check: ["procedure.query"],
+          enforce: [{ name: "hasPermission", args: [{ param: 0 }] }],
+        },
+      ],
+      errors: [
+        {
+          messageId: "invalidArguments",
+          data: {
+            name: "hasPermission",
+            expected: "argument 1 referencing parameter 1",
+          },
+        },
+      ],
+    },
+
+    // Inner callbacks have their own parameters
+    {
+      code: "action((event) => { items.forEach((item) => hasPermission(item)); hasPermission(item) })",
+      options: [
+        {
+          check: ["action"],
+          enforce: [{ name: "hasPermission", args: [{ param: 0 }] }],
+        },
+      ],
+      errors: [
+        {
+          messageId: "invalidArguments",
+          data: {
+            name: "hasPermission",
+            expected: "argument 1 referencing event",
+          },
+          column: 67,
+        },
+      ],
+    },
+  ],
+});
+
+// Tests for mustUseResult
+const resultTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: "module",
+  },
+});
+
+resultTester.run("require-call-in-context (mustUseResult)", rule, {
+  valid: [
+    // Awaited and tested
+    {
+      code: "query(async () => { if (!(await hasPermission())) throw error(403) })",
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], mustUseResult: true },
+      ],
+    },
+
+    // Ternary test
+    {
+      code: "query(() => hasPermission() ? db.all() : [])",
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], mustUseResult: true },
+      ],
+    },
+
+    // Logical operator
+    {
+      code: "query(() => { hasPermission() || fail(403); return db.all() })",
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], mustUseResult: true },
+      ],
+    },
+
+    // Returned
+    {
+      code: "query(async () => { return await auth.hasPermission() })",
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], mustUseResult: true },
+      ],
+    },
+
+    // Stored and tested later
+    {
+      code: "query(async () => { const ok = await hasPermission(); if (ok === false) return; db.all() })",
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], mustUseResult: true },
+      ],
+    },
+
+    // Guard functions don't return a result
+    {
+      code: "query(() => { requireAdmin(); db.all() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          guards: { requireAdmin: ["hasPermission"] },
+          mustUseResult: true,
+        },
+      ],
+    },
+
+    // Another enforced call is used
+    {
+      code: "query(() => { hasPermission(); if (!isAuthenticated()) return })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission", "isAuthenticated"],
+          mustUseResult: true,
+        },
+      ],
+    },
+  ],
+  invalid: [
+    // Bare statement
+    {
+      code: "query(() => { hasPermission(); return db.all() })",
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], mustUseResult: true },
+      ],
+      errors: [
+        {
+          messageId: "resultDiscarded",
+          data: { name: "hasPermission" },
+          column: 15,
+        },
+      ],
+    },
+
+    // Awaited but not tested
+    {
+      code: "query(async () => { await auth.hasPermission(); return db.all() })",
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], mustUseResult: true },
+      ],
+      errors: [
+        {
+          message: "result of hasPermission is discarded",
+        },
+      ],
+    },
+
+    // Stored but never read
+    {
+      code: "query(async () => { const ok = await hasPermission(); return db.all() })",
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], mustUseResult: true },
+      ],
+      errors: [
+        {
+          messageId: "resultDiscarded",
+          data: { name: "hasPermission" },
+        },
+      ],
+    },
+
+    // Passing the result to another function doesn't guard anything
+    {
+      code: "query(async () => { log(await hasPermission()); db.all() })",
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], mustUseResult: true },
+      ],
+      errors: [
+        { messageId: "resultDiscarded", data: { name: "hasPermission" } },
+      ],
+    },
+    {
+      code: "query(() => { assert(hasPermission()); db.all() })",
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], mustUseResult: true },
+      ],
+      errors: [
+        { messageId: "resultDiscarded", data: { name: "hasPermission" } },
+      ],
+    },
+    {
+      code: "query(() => { const ok = hasPermission(); track(ok); db.all() })",
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], mustUseResult: true },
+      ],
+      errors: [
+        { messageId: "resultDiscarded", data: { name: "hasPermission" } },
+      ],
+    },
+
+    // Other enforced functions are still missing
+    {
+      code: "query(() => { hasPermission(); db.all() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission", "isAuthenticated"],
+          requireAll: true,
+          mustUseResult: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAll",
+          data: { functions: "hasPermission, isAuthenticated" },
+        },
+        {
+          messageId: "resultDiscarded",
+          data: { name: "hasPermission" },
+        },
+      ],
+    },
+  ],
+});
+
+// Tests for conditional enforcement with when
+const whenTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: "module",
+  },
+});
+
+whenTester.run("require-call-in-context (when)", rule, {
+  valid: [
+    // No triggering call
+    {
+      code: "query(() => { return db.posts.findMany() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          when: { calls: ["db.user.*", "db.billing.*"] },
+        },
+      ],
+    },
+
+    // Triggering call with the enforced call
+    {
+      code: "query(async (id) => { await hasPermission(); return db.user.find(id) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          when: { calls: ["db.user.*"] },
+        },
+      ],
+    },
+
+    // Pattern does not cross segments
+    {
+      code: "query(() => db.user.profile.get())",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          when: { calls: ["db.user.*"] },
+        },
+      ],
+    },
+
+    // Exported functions without triggering calls
+    {
+      code: "export const load = () => db.posts.findMany()",
+      options: [
+        {
+          checkFunctions: ["load"],
+          enforce: ["hasPermission"],
+          when: { calls: ["db.user.*"] },
+        },
+      ],
+    },
+  ],
+  invalid: [
+    // Reported at the triggering call
+    {
+      code: "query((data) => { return db.user.update(data) })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          when: { calls: ["db.user.*", "db.billing.*"] },
+        },
+      ],
+      errors: [
+        {
+          message: "db.user.update requires hasPermission",
+          column: 26,
+        },
+      ],
+    },
+
+    // Every triggering call
+    {
+      code: "command(async (id) => { await db.user.delete(id); await db.billing.cancel(id) })",
+      options: [
+        {
+          check: ["command"],
+          enforce: ["hasPermission", "isAuthenticated"],
+          requireAll: true,
+          when: { calls: ["db.user.*", "db.billing.*"] },
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingForTrigger",
+          data: {
+            trigger: "db.user.delete",
+            functions: "hasPermission, isAuthenticated",
+          },
+        },
+        {
+          messageId: "missingForTrigger",
+          data: {
+            trigger: "db.billing.cancel",
+            functions: "hasPermission, isAuthenticated",
+          },
+        },
+      ],
+    },
+
+    // Patterns match the end of longer calls
+    {
+      code: "query(({ ctx }) => { return ctx.db.user.update() })\nclass A { save() { query(() => this.db.user.update()) } }",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          when: { calls: ["db.user.*"] },
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingForTrigger",
+          data: { trigger: "ctx.db.user.update", functions: "hasPermission" },
+        },
+        {
+          messageId: "missingForTrigger",
+          data: { trigger: "this.db.user.update", functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Triggering calls in nested functions
+    {
+      code: "command((ids) => { ids.forEach((id) => db.user.delete(id)) })",
+      options: [
+        {
+          check: ["command"],
+          enforce: ["hasPermission"],
+          when: { calls: ["db.user.*"] },
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingForTrigger",
+          data: { trigger: "db.user.delete", functions: "hasPermission" },
+        },
+      ],
+    },
+
+    // Triggering calls by import source
+    {
+      code: "import { deleteUser } from '$lib/server/users'; export async function load() { await deleteUser() }",
+      options: [
+        {
+          checkFunctions: ["load"],
+          enforce: ["hasPermission"],
+          when: { calls: [{ name: "*", from: "$lib/server/**" }] },
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingForTrigger",
+          data: { trigger: "deleteUser", functions: "hasPermission" },
+        },
+      ],
+    },
+  ],
+});
+
+// Tests for suggestions inserting the enforced call
+const suggestTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: "module",
+  },
+});
+
+suggestTester.run("require-call-in-context (suggest)", rule, {
+  valid: [
+    {
+      code: "query(async () => { await hasPermission(); return db.all() })",
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], suggest: true },
+      ],
+    },
+  ],
+  invalid: [
+    // Awaited in async block bodies
+    {
+      code: "query(async () => { return db.all() })",
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], suggest: true },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              data: { call: "await hasPermission()" },
+              output:
+                "query(async () => { await hasPermission(); return db.all() })",
+            },
+          ],
+        },
+      ],
+    },
+
+    // Multi-line bodies keep the indentation
+    {
+      code: `
+        query(function () {
+          return db.all()
+        })
+      `,
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], suggest: true },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output: `
+        query(function () {
+          hasPermission();
+          return db.all()
+        })
+      `,
+            },
+          ],
+        },
+      ],
+    },
+
+    // Expression-body arrows become block bodies
+    {
+      code: "query(async (event) => db.all(event))",
+      options: [
+        {
+          check: ["query"],
+          enforce: [
+            {
+              name: "hasPermission",
+              suggestion: "await hasPermission({{param0}})",
+            },
+          ],
+          suggest: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              data: { call: "await hasPermission(event)" },
+              output:
+                "query(async (event) => { await hasPermission(event); return db.all(event); })",
+            },
+          ],
+        },
+      ],
+    },
+
+    // Parenthesized object bodies
+    {
+      code: "query(() => ({ rows: db.all() }))",
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], suggest: true },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output:
+                "query(() => { hasPermission(); return ({ rows: db.all() }); })",
+            },
+          ],
+        },
+      ],
+    },
+
+    // One suggestion per missing enforced function
+    {
+      code: "query(() => { isAuthenticated(); db.all() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission", "isAuthenticated", "/^can[A-Z]/"],
+          requireAll: true,
+          suggest: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAll",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output:
+                "query(() => { hasPermission(); isAuthenticated(); db.all() })",
+            },
+          ],
+        },
+      ],
+    },
+
+    // Parameters that can't be named
+    {
+      code: "query(({ id }) => db.find(id))",
+      options: [
+        {
+          check: ["query"],
+          enforce: [
+            {
+              name: "hasPermission",
+              suggestion: "hasPermission({{param0}})",
+            },
+            "isAuthenticated",
+          ],
+          suggest: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output:
+                "query(({ id }) => { isAuthenticated(); return db.find(id); })",
+            },
+          ],
+        },
+      ],
+    },
+
+    // Missing import
+    {
+      code: "import { query } from '$app/server';\nquery(async () => { return db.all() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", from: "$lib/auth" }],
+          suggest: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output:
+                "import { query } from '$app/server';\nimport { hasPermission } from \"$lib/auth\";\nquery(async () => { await hasPermission(); return db.all() })",
+            },
+          ],
+        },
+      ],
+    },
+
+    // Existing binding
+    {
+      code: "import { hasPermission } from 'mock';\nquery(() => { db.all() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", from: "$lib/auth" }],
+          suggest: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output:
+                "import { hasPermission } from 'mock';\nquery(() => { hasPermission(); db.all() })",
+            },
+          ],
+        },
+      ],
+    },
+
+    // Inserted after directives
+    {
+      code: "action(async () => { 'use server'; db.x() })",
+      options: [
+        { check: ["action"], enforce: ["hasPermission"], suggest: true },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output:
+                "action(async () => { 'use server'; await hasPermission(); db.x() })",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      code: "query(function () {\n  'use strict';\n  db.all();\n})",
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], suggest: true },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output:
+                "query(function () {\n  'use strict';\n  hasPermission();\n  db.all();\n})",
+            },
+          ],
+        },
+      ],
+    },
+
+    // Entries with argument constraints need a suggestion template
+    {
+      code: "query(() => { db.all() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [{ name: "hasPermission", minArgs: 1 }],
+          suggest: true,
+        },
+      ],
+      errors: [{ messageId: "missingAtLeastOne", suggestions: [] }],
+    },
+
+    // Conditional reports
+    {
+      code: "query(() => db.user.update())",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          when: { calls: ["db.user.*"] },
+          suggest: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingForTrigger",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output:
+                "query(() => { hasPermission(); return db.user.update(); })",
+            },
+          ],
+        },
+      ],
+    },
+  ],
+});
+
+// Tests for suggestions importing the enforced function
+const importTester = new RuleTester({
+  languageOptions: {
+    parser: tsParser,
+    ecmaVersion: 2022,
+    sourceType: "module",
+  },
+});
+
+importTester.run("require-call-in-context (suggest import)", rule, {
+  valid: [],
+  invalid: [
+    // New import
+    {
+      code: "import { query } from '$app/server';\nquery(() => { db.all() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [
+            {
+              name: "hasPermission",
+              import: { from: "$lib/auth", named: "hasPermission" },
+            },
+          ],
+          suggest: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output:
+                "import { query } from '$app/server';\nimport { hasPermission } from \"$lib/auth\";\nquery(() => { hasPermission(); db.all() })",
+            },
+          ],
+        },
+      ],
+    },
+
+    // New import without existing imports
+    {
+      code: "query(() => { db.all() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [
+            {
+              name: "hasPermission",
+              import: { from: "$lib/auth", named: "hasPermission" },
+            },
+          ],
+          suggest: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output:
+                'import { hasPermission } from "$lib/auth";\nquery(() => { hasPermission(); db.all() })',
+            },
+          ],
+        },
+      ],
+    },
+
+    // New import after a module directive
+    {
+      code: "'use server';\nquery(async () => { db.all() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [
+            {
+              name: "hasPermission",
+              import: { from: "$lib/auth", named: "hasPermission" },
+            },
+          ],
+          suggest: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output:
+                "'use server';\nimport { hasPermission } from \"$lib/auth\";\nquery(async () => { await hasPermission(); db.all() })",
+            },
+          ],
+        },
+      ],
+    },
+
+    // Dotted name called through the imported root
+    {
+      code: "query(async () => { db.all() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [
+            {
+              name: "auth.check",
+              import: { from: "$lib/auth", named: "auth" },
+            },
+          ],
+          suggest: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output:
+                'import { auth } from "$lib/auth";\nquery(async () => { await auth.check(); db.all() })',
+            },
+          ],
+        },
+      ],
+    },
+
+    // Only the imported identifier is renamed in templates
+    {
+      code: "import { auth as session } from '$lib/auth';\nquery(async (event) => { db.all() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [
+            {
+              name: "auth.check",
+              import: { from: "$lib/auth", named: "auth" },
+              suggestion: "const authenticated = await auth.check({{param0}})",
+            },
+          ],
+          suggest: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output:
+                "import { auth as session } from '$lib/auth';\nquery(async (event) => { const authenticated = await session.check(event); db.all() })",
+            },
+          ],
+        },
+      ],
+    },
+
+    // Extends a named import from the module
+    {
+      code: "import { isAuthenticated } from '$lib/auth';\nquery(() => { db.all() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [
+            {
+              name: "hasPermission",
+              import: { from: "$lib/auth", named: "hasPermission" },
+            },
+          ],
+          suggest: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output:
+                "import { isAuthenticated, hasPermission } from '$lib/auth';\nquery(() => { hasPermission(); db.all() })",
+            },
+          ],
+        },
+      ],
+    },
+
+    // Extends a default import from the module
+    {
+      code: "import auth from '$lib/auth';\nquery(() => { db.all() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [
+            {
+              name: "hasPermission",
+              import: { from: "$lib/auth", named: "hasPermission" },
+            },
+          ],
+          suggest: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output:
+                "import auth, { hasPermission } from '$lib/auth';\nquery(() => { hasPermission(); db.all() })",
+            },
+          ],
+        },
+      ],
+    },
+
+    // Reuses a renamed import
+    {
+      code: "import { hasPermission as can } from '$lib/auth';\nquery(() => { db.all() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [
+            {
+              name: "hasPermission",
+              import: { from: "$lib/auth", named: "hasPermission" },
+            },
+          ],
+          suggest: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output:
+                "import { hasPermission as can } from '$lib/auth';\nquery(() => { can(); db.all() })",
+            },
+          ],
+        },
+      ],
+    },
+
+    // Reuses a namespace import
+    {
+      code: "import * as auth from '$lib/auth';\nquery(() => { db.all() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [
+            {
+              name: "hasPermission",
+              import: { from: "$lib/auth", named: "hasPermission" },
+            },
+          ],
+          suggest: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output:
+                "import * as auth from '$lib/auth';\nquery(() => { auth.hasPermission(); db.all() })",
+            },
+          ],
+        },
+      ],
+    },
+
+    // Type-only imports are not extended
+    {
+      code: "import type { User } from '$lib/auth';\nquery(() => { db.all() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [
+            {
+              name: "hasPermission",
+              import: { from: "$lib/auth", named: "hasPermission" },
+            },
+          ],
+          suggest: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output:
+                "import type { User } from '$lib/auth';\nimport { hasPermission } from \"$lib/auth\";\nquery(() => { hasPermission(); db.all() })",
+            },
+          ],
+        },
+      ],
+    },
+
+    // Custom suggestion uses the reused binding
+    {
+      code: "import { hasPermission as can } from '$lib/auth';\nquery((event) => { db.all() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: [
+            {
+              name: "hasPermission",
+              suggestion: 'hasPermission({{param0}}, "read")',
+              import: { from: "$lib/auth", named: "hasPermission" },
+            },
+          ],
+          suggest: true,
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          suggestions: [
+            {
+              messageId: "suggestCall",
+              output:
+                "import { hasPermission as can } from '$lib/auth';\nquery((event) => { can(event, \"read\"); db.all() })",
+            },
+          ],
+        },
+      ],
+    },
+  ],
+});
+
+// Tests for one options object per set of checked contexts
+const contextSets = [
+  { check: ["query"], enforce: ["isAuthenticated"] },
+  {
+    check: ["adminCommand"],
+    enforce: ["hasPermission", "isAuthenticated"],
+    requireAll: true,
+  },
+];
+
+ruleTester.run("require-call-in-context (option sets)", rule, {
+  valid: [
+    {
+      code: "query(() => { isAuthenticated(); return db.all() })",
+      options: contextSets,
+    },
+    {
+      code: "adminCommand(() => { isAuthenticated(); hasPermission(); db.drop() })",
+      options: contextSets,
+    },
+    // Each set only checks its own contexts
+    {
+      code: "query(() => { isAuthenticated() }); adminCommand(() => { isAuthenticated(); hasPermission() })",
+      options: contextSets,
+    },
+  ],
+  invalid: [
+    {
+      code: "query(() => { return db.all() })",
+      options: contextSets,
+      errors: [
+        {
+          messageId: "missingAtLeastOne",
+          data: { functions: "isAuthenticated" },
+        },
+      ],
+    },
+    {
+      code: "adminCommand(() => { isAuthenticated(); db.drop() })",
+      options: contextSets,
+      errors: [
+        {
+          messageId: "missingAll",
+          data: { functions: "hasPermission, isAuthenticated" },
+        },
+      ],
+    },
+    {
+      code: "query(() => { db.all() }); adminCommand(() => { db.drop() })",
+      options: contextSets,
+      errors: [
+        { messageId: "missingAtLeastOne", column: 7 },
+        { messageId: "missingAll", column: 41 },
+      ],
+    },
+
+    // Custom messages per set
+    {
+      code: "query(() => { db.all() }); adminCommand(() => { db.drop() })",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["isAuthenticated"],
+          message: "Queries must check the session",
+        },
+        {
+          check: ["adminCommand"],
+          enforce: ["hasPermission"],
+          message: "Admin commands must call {{functions}}",
+        },
+      ],
+      errors: [
+        { message: "Queries must check the session" },
+        { message: "Admin commands must call hasPermission" },
+      ],
+    },
+    {
+      code: "query(() => db.user.update())",
+      options: [
+        {
+          check: ["query"],
+          enforce: ["hasPermission"],
+          when: { calls: ["db.user.*"] },
+          message: "{{trigger}} writes data, call {{functions}} first",
+        },
+      ],
+      errors: [
+        {
+          message: "db.user.update writes data, call hasPermission first",
+        },
+      ],
+    },
+  ],
+});
+
+// Tests for callbacks passed by reference
+ruleTester.run("require-call-in-context (callback references)", rule, {
+  valid: [
+    {
+      code: "const handler = async () => { await hasPermission() }; query(handler)",
+      options: [{ check: ["query"], enforce: ["hasPermission"] }],
+    },
+    {
+      code: "query(handler); function handler() { hasPermission() }",
+      options: [{ check: ["query"], enforce: ["hasPermission"] }],
+    },
+    // Unresolved references aren't checked
+    {
+      code: "query(handler)",
+      options: [{ check: ["query"], enforce: ["hasPermission"] }],
+    },
+    // Reassigned variables aren't resolved
+    {
+      code: "let handler = () => { db.all() }; handler = () => { hasPermission() }; query(handler)",
+      options: [{ check: ["query"], enforce: ["hasPermission"] }],
+    },
+    {
+      code: "var handler = () => { db.all() }; var handler = () => { hasPermission() }; query(handler)",
+      options: [{ check: ["query"], enforce: ["hasPermission"] }],
+    },
+    // let and var variables that are never reassigned are resolved
+    {
+      code: "let handler = () => { hasPermission() }; query(handler)",
+      options: [{ check: ["query"], enforce: ["hasPermission"] }],
+    },
+    // Empty callbacks are allowed
+    {
+      code: "const noop = () => {}; query(noop)",
+      options: [{ check: ["query"], enforce: ["hasPermission"] }],
+    },
+    // Only the checked context function's arguments count
+    {
+      code: "const handler = () => { db.all() }; other(handler)",
+      options: [{ check: ["query"], enforce: ["hasPermission"] }],
+    },
+    {
+      code: "const handler = () => { hasPermission(); return db.all() }; query(handler)",
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], allPaths: true },
+      ],
+    },
+  ],
+  invalid: [
+    // Reported at the definition and the call site
+    {
+      code: "const handler = async () => { db.all() }; query(handler)",
+      options: [{ check: ["query"], enforce: ["hasPermission"] }],
+      errors: [
+        { messageId: "missingAtLeastOne", line: 1, column: 17 },
+        { messageId: "missingAtLeastOne", line: 1, column: 49 },
+      ],
+    },
+    // Exported functions passed by reference are checked once
+    {
+      code: "export function load() { db.all() }\nquery(load)",
+      options: [
+        {
+          check: ["query"],
+          checkFunctions: ["load"],
+          enforce: ["hasPermission"],
+        },
+      ],
+      errors: [
+        { messageId: "missingAtLeastOne", line: 1, column: 8 },
+        { messageId: "missingAtLeastOne", line: 2, column: 7 },
+      ],
+    },
+    {
+      code: "let handler = () => { db.all() }; query(handler)",
+      options: [{ check: ["query"], enforce: ["hasPermission"] }],
+      errors: [
+        { messageId: "missingAtLeastOne", line: 1, column: 15 },
+        { messageId: "missingAtLeastOne", line: 1, column: 41 },
+      ],
+    },
+    {
+      code: "var handler = function () { db.all() }; query(handler)",
+      options: [{ check: ["query"], enforce: ["hasPermission"] }],
+      errors: [
+        { messageId: "missingAtLeastOne", line: 1, column: 15 },
+        { messageId: "missingAtLeastOne", line: 1, column: 47 },
+      ],
+    },
+    {
+      code: "function handler() { db.all() }\nquery(handler)",
+      options: [{ check: ["query"], enforce: ["hasPermission"] }],
+      errors: [
+        { messageId: "missingAtLeastOne", line: 1, column: 1 },
+        { messageId: "missingAtLeastOne", line: 2, column: 7 },
+      ],
+    },
+    // The definition is reported once for each call site passing it
+    {
+      code: "const handler = () => { db.all() }\nquery(handler)\nquery(handler)",
+      options: [{ check: ["query"], enforce: ["hasPermission"] }],
+      errors: [
+        { messageId: "missingAtLeastOne", line: 1 },
+        { messageId: "missingAtLeastOne", line: 2 },
+        { messageId: "missingAtLeastOne", line: 3 },
+      ],
+    },
+    // Code paths of callbacks declared before being passed
+    {
+      code: "const handler = (id) => { if (id) return db.get(id); hasPermission() }; query(handler)",
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], allPaths: true },
+      ],
+      errors: [{ messageId: "unguardedExit", column: 35 }],
+    },
+    {
+      code: "query(handler); function handler(id) { if (id) return db.get(id); hasPermission() }",
+      options: [
+        { check: ["query"], enforce: ["hasPermission"], allPaths: true },
+      ],
+      errors: [{ messageId: "unguardedExit", column: 48 }],
+    },
+  ],
+});
+
+followImportsTester.run(
+  "require-call-in-context (imported callback references)",
+  rule,
+  {
+    valid: [
+      {
+        code: `
+          import { requireAdmin } from "../lib/auth";
+          query(requireAdmin)
+        `,
+        filename: routeFilename,
+        options: [
+          {
+            check: ["query"],
+            enforce: ["hasPermission"],
+            followImports: true,
+          },
+        ],
+      },
+      // Imported callbacks are only resolved with followImports
+      {
+        code: `
+          import { logAccess } from "../lib/auth";
+          query(logAccess)
+        `,
+        filename: routeFilename,
+        options: [{ check: ["query"], enforce: ["hasPermission"] }],
+      },
+    ],
+    invalid: [
+      {
+        code: `
+          import { logAccess } from "../lib/auth";
+          query(logAccess)
+        `,
+        filename: routeFilename,
+        options: [
+          {
+            check: ["query"],
+            enforce: ["hasPermission"],
+            followImports: true,
+          },
+        ],
+        errors: [{ messageId: "missingAtLeastOne", line: 3, column: 17 }],
+      },
+    ],
+  },
+);
+
+// Tests for callbacks nested in object and array arguments
+ruleTester.run("require-call-in-context (callback paths)", rule, {
+  valid: [
+    {
+      code: "procedure({ input: z.string(), handler: async () => { await hasPermission() } })",
+      options: [
+        {
+          check: [{ name: "procedure", callbacks: ["0.handler"] }],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+    // Method shorthand
+    {
+      code: "procedure({ handler() { hasPermission() } })",
+      options: [
+        {
+          check: [{ name: "procedure", callbacks: ["0.handler"] }],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+    // Functions outside the configured paths aren't checked
+    {
+      code: "procedure({ input: () => z.string(), handler: () => { hasPermission() } }, () => {})",
+      options: [
+        {
+          check: [{ name: "procedure", callbacks: ["0.handler"] }],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+    {
+      code: "procedure(() => { db.all() })",
+      options: [
+        {
+          check: [{ name: "procedure", callbacks: ["0.handler"] }],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+    // Any argument and array elements
+    {
+      code: "field(schema, { resolve: () => { hasPermission() } })",
+      options: [
+        {
+          check: [{ name: "field", callbacks: ["*.resolve"] }],
+          enforce: ["hasPermission"],
+        },
+      ],
+    },
+    {
+      code: "pipeline([() => { hasPermission() }, () => { isAuthenticated() }])",
+      options: [
+        {
+          check: [{ name: "pipeline", callbacks: ["0.*"] }],
+          enforce: ["hasPermission", "isAuthenticated"],
+        },
+      ],
+    },
+  ],
+  invalid: [
+    {
+      code: "procedure({ input: z.string(), handler: async () => { return db.all() } })",
+      options: [
+        {
+          check: [{ name: "procedure", callbacks: ["0.handler"] }],
+          enforce: ["hasPermission"],
+        },
+      ],
+      errors: [{ messageId: "missingAtLeastOne", column: 41 }],
+    },
+    {
+      code: "procedure({ 'handler'() { db.all() } })",
+      options: [
+        {
+          check: [{ name: "procedure", callbacks: ["0.handler"] }],
+          enforce: ["hasPermission"],
+        },
+      ],
+      errors: [{ messageId: "missingAtLeastOne" }],
+    },
+    {
+      code: "field(schema, { resolve: () => { db.all() } })",
+      options: [
+        {
+          check: [{ name: "field", callbacks: ["*.resolve"] }],
+          enforce: ["hasPermission"],
+        },
+      ],
+      errors: [{ messageId: "missingAtLeastOne", column: 26 }],
+    },
+    {
+      code: "pipeline([() => { hasPermission() }, () => { db.all() }])",
+      options: [
+        {
+          check: [{ name: "pipeline", callbacks: ["0.1"] }],
+          enforce: ["hasPermission"],
+        },
+      ],
+      errors: [{ messageId: "missingAtLeastOne", column: 38 }],
+    },
+    // Nested paths and callbacks passed by reference
+    {
+      code: "const list = () => { db.all() }\nrouter({ routes: { list } })",
+      options: [
+        {
+          check: [{ name: "router", callbacks: ["0.routes.*"] }],
+          enforce: ["hasPermission"],
+        },
+      ],
+      errors: [
+        { messageId: "missingAtLeastOne", line: 1 },
+        { messageId: "missingAtLeastOne", line: 2, column: 20 },
+      ],
+    },
+    // Direct function arguments as well as nested ones
+    {
+      code: "procedure({ handler: () => { hasPermission() } }, () => { db.all() })",
+      options: [
+        {
+          check: [{ name: "procedure", callbacks: ["*", "0.handler"] }],
+          enforce: ["hasPermission"],
+        },
+      ],
+      errors: [{ messageId: "missingAtLeastOne", column: 51 }],
+    },
+  ],
+});
+
+// Tests for builder chains
+const chainCheck = [
+  { chainRoot: "protectedProcedure", method: ["query", "mutation"] },
+];
+
+ruleTester.run("require-call-in-context (builder chains)", rule, {
+  valid: [
+    {
+      code: "protectedProcedure.input(schema).mutation(async ({ ctx }) => { await hasPermission(ctx); return db.update() })",
+      options: [{ check: chainCheck, enforce: ["hasPermission"] }],
+    },
+    // Other methods and roots aren't checked
+    {
+      code: "protectedProcedure.input(schema).subscription(() => { db.watch() })",
+      options: [{ check: chainCheck, enforce: ["hasPermission"] }],
+    },
+    {
+      code: "publicProcedure.input(schema).query(() => db.all())",
+      options: [{ check: chainCheck, enforce: ["hasPermission"] }],
+    },
+    // Earlier middleware links satisfy enforcement
+    {
+      code: "protectedProcedure.use(authMiddleware).input(schema).query(() => db.all())",
+      options: [{ check: chainCheck, enforce: ["authMiddleware"] }],
+    },
+    {
+      code: "protectedProcedure.use(requireRole('admin')).mutation(() => db.update())",
+      options: [{ check: chainCheck, enforce: ["requireRole"] }],
+    },
+    {
+      code: "import { isAuthed as authed } from '$lib/trpc'; protectedProcedure.use(authed).query(() => db.all())",
+      options: [
+        {
+          check: chainCheck,
+          enforce: [{ name: "isAuthed", from: "$lib/trpc" }],
+        },
+      ],
+    },
+    // Configured middleware methods
+    {
+      code: "protectedProcedure.with(authMiddleware).query(() => db.all())",
+      options: [
+        {
+          check: [{ ...chainCheck[0], middleware: ["with"] }],
+          enforce: ["authMiddleware"],
+        },
+      ],
+    },
+    // Pattern roots
+    {
+      code: "t.procedure.use(isAuthed).query(() => db.all())",
+      options: [
+        {
+          check: [{ chainRoot: "t.*", method: ["query"] }],
+          enforce: ["isAuthed"],
+        },
+      ],
+    },
+  ],
+  invalid: [
+    {
+      code: "protectedProcedure.input(schema).mutation(async ({ ctx }) => db.update())",
+      options: [{ check: chainCheck, enforce: ["hasPermission"] }],
+      errors: [{ messageId: "missingAtLeastOne", column: 43 }],
+    },
+    {
+      code: "protectedProcedure.query(() => { db.all() })",
+      options: [{ check: chainCheck, enforce: ["hasPermission"] }],
+      errors: [{ messageId: "missingAtLeastOne" }],
+    },
+    // Middleware that isn't enforced, or comes after the checked method
+    {
+      code: "protectedProcedure.use(logger).query(() => db.all())",
+      options: [{ check: chainCheck, enforce: ["authMiddleware"] }],
+      errors: [{ messageId: "missingAtLeastOne" }],
+    },
+    {
+      code: "protectedProcedure.pipe(authMiddleware).query(() => db.all())",
+      options: [{ check: chainCheck, enforce: ["authMiddleware"] }],
+      errors: [{ messageId: "missingAtLeastOne" }],
+    },
+    // Middleware must satisfy all enforced functions when required
+    {
+      code: "protectedProcedure.use(authMiddleware).query(() => db.all())",
+      options: [
+        {
+          check: chainCheck,
+          enforce: ["authMiddleware", "hasPermission"],
+          requireAll: true,
+        },
+      ],
+      errors: [{ messageId: "missingAll" }],
+    },
+    {
+      code: "import { isAuthed } from './local'; protectedProcedure.use(isAuthed).query(() => db.all())",
+      options: [
+        {
+          check: chainCheck,
+          enforce: [{ name: "isAuthed", from: "$lib/trpc" }],
+        },
+      ],
+      errors: [{ messageId: "missingAtLeastOne" }],
+    },
+  ],
+});
+
+// Tests for exported objects, classes, wrapper calls and local re-exports
+ruleTester.run("require-call-in-context (exported forms)", rule, {
+  valid: [
+    {
+      code: "export default { async fetch(request) { await hasPermission(request); return new Response() } }",
+      options: [
+        { checkFunctions: ["default.fetch"], enforce: ["hasPermission"] },
+      ],
+    },
+    {
+      code: "export default async function () { await hasPermission() }",
+      options: [{ checkFunctions: ["default"], enforce: ["hasPermission"] }],
+    },
+    {
+      code: "export default defineEventHandler(async (event) => { await hasPermission(event) })",
+      options: [{ checkFunctions: ["default"], enforce: ["hasPermission"] }],
+    },
+    // Named exports of wrapper calls are not unwrapped
+    {
+      code: "export const load = withAuth(async (event) => { return db.all() })",
+      options: [{ checkFunctions: ["load"], enforce: ["hasPermission"] }],
+    },
+    {
+      code: "export class Controller { get() { hasPermission() } static post() { hasPermission() } }",
+      options: [{ checkFunctions: ["Controller"], enforce: ["hasPermission"] }],
+    },
+    {
+      code: "const load = () => { hasPermission() }; export { load }",
+      options: [{ checkFunctions: ["load"], enforce: ["hasPermission"] }],
+    },
+    // Other properties, methods and exports aren't checked
+    {
+      code: "export default { fetch() { hasPermission() }, scheduled() { cleanup() } }",
+      options: [
+        { checkFunctions: ["default.fetch"], enforce: ["hasPermission"] },
+      ],
+    },
+    {
+      code: "export class Controller { constructor() { this.db = db } get() { hasPermission() } #helper() {} }",
+      options: [
+        { checkFunctions: ["Controller.*"], enforce: ["hasPermission"] },
+      ],
+    },
+    {
+      code: "const helper = () => { db.all() }; export { helper }",
+      options: [{ checkFunctions: ["load"], enforce: ["hasPermission"] }],
+    },
+    {
+      code: "export { load } from './other'",
+      options: [{ checkFunctions: ["load"], enforce: ["hasPermission"] }],
+    },
+  ],
+  invalid: [
+    {
+      code: "export default { fetch() { return new Response() } }",
+      options: [
+        { checkFunctions: ["default.fetch"], enforce: ["hasPermission"] },
+      ],
+      errors: [{ messageId: "missingAtLeastOne", column: 23 }],
+    },
+    {
+      code: "export default { fetch: async () => { return new Response() } }",
+      options: [{ checkFunctions: ["default"], enforce: ["hasPermission"] }],
+      errors: [{ messageId: "missingAtLeastOne" }],
+    },
+    {
+      code: "export default async function () { return db.all() }",
+      options: [{ checkFunctions: ["default"], enforce: ["hasPermission"] }],
+      errors: [{ messageId: "missingAtLeastOne", column: 16 }],
+    },
+    {
+      code: "export default async () => { return db.all() }",
+      options: [{ checkFunctions: ["default"], enforce: ["hasPermission"] }],
+      errors: [{ messageId: "missingAtLeastOne" }],
+    },
+    {
+      code: "export default defineEventHandler(async (event) => { return db.all() })",
+      options: [{ checkFunctions: ["default"], enforce: ["hasPermission"] }],
+      errors: [{ messageId: "missingAtLeastOne", column: 35 }],
+    },
+    {
+      code: "const handler = defineEventHandler(() => { return db.all() }); export default handler",
+      options: [{ checkFunctions: ["default"], enforce: ["hasPermission"] }],
+      errors: [{ messageId: "missingAtLeastOne", column: 36 }],
+    },
+    {
+      code: "export class Controller { get() { return db.all() } }",
+      options: [
+        { checkFunctions: ["Controller.get"], enforce: ["hasPermission"] },
+      ],
+      errors: [{ messageId: "missingAtLeastOne", column: 30 }],
+    },
+    {
+      code: "export default class { handle = async () => { db.all() } }",
+      options: [{ checkFunctions: ["default"], enforce: ["hasPermission"] }],
+      errors: [{ messageId: "missingAtLeastOne" }],
+    },
+    {
+      code: "function load() { db.all() }\nexport { load, load as default }",
+      options: [
+        { checkFunctions: ["load", "default"], enforce: ["hasPermission"] },
+      ],
+      errors: [{ messageId: "missingAtLeastOne", line: 1, column: 1 }],
+    },
+    {
+      code: "function load() { return db.all() }\nexport { load }",
+      options: [{ checkFunctions: ["load"], enforce: ["hasPermission"] }],
+      errors: [{ messageId: "missingAtLeastOne", line: 1 }],
+    },
+    {
+      code: "const handler = () => { db.all() }; export { handler as GET }",
+      options: [{ checkFunctions: ["GET"], enforce: ["hasPermission"] }],
+      errors: [{ messageId: "missingAtLeastOne" }],
+    },
+    {
+      code: "function load() { return db.all() }\nexport default load",
+      options: [{ checkFunctions: ["load"], enforce: ["hasPermission"] }],
+      errors: [{ messageId: "missingAtLeastOne", line: 1 }],
+    },
+  ],
+});
+
+// Tests for decorated class methods
+const decoratorTester = new RuleTester({
+  languageOptions: {
+    parser: tsParser,
+    ecmaVersion: 2022,
+    sourceType: "module",
+  },
+});
+
+decoratorTester.run("require-call-in-context (checkDecorated)", rule, {
+  valid: [
+    {
+      code: "class UsersController { @Get() findAll() { this.auth.check(); return this.users.findAll() } }",
+      options: [
+        { checkDecorated: ["Get", "Post"], enforce: ["this.auth.check"] },
+      ],
+    },
+    // Undecorated and other decorated methods aren't checked
+    {
+      code: "class UsersController { helper() { db.all() } @Cron('* * * * *') sync() { db.sync() } }",
+      options: [
+        { checkDecorated: ["Get", "Post"], enforce: ["hasPermission"] },
+      ],
+    },
+    // Method and class decorators satisfy enforcement
+    {
+      code: "class UsersController { @Get() @UseGuards(AuthGuard) findAll() { return db.all() } }",
+      options: [{ checkDecorated: ["Get"], enforce: ["AuthGuard"] }],
+    },
+    {
+      code: "@UseGuards(AuthGuard) class UsersController { @Post() create() { return db.insert() } }",
+      options: [{ checkDecorated: ["Post"], enforce: ["UseGuards"] }],
+    },
+    {
+      code: "class UsersController { @Authenticated @Get() findAll() { return db.all() } }",
+      options: [{ checkDecorated: ["Get"], enforce: ["Authenticated"] }],
+    },
+    // Decorated arrow function fields
+    {
+      code: "class Resolver { @Mutation() update = async () => { await hasPermission() } }",
+      options: [{ checkDecorated: ["Mutation"], enforce: ["hasPermission"] }],
+    },
+  ],
+  invalid: [
+    {
+      code: "class UsersController { @Get() findAll() { return db.all() } }",
+      options: [
+        { checkDecorated: ["Get", "Post"], enforce: ["hasPermission"] },
+      ],
+      errors: [{ messageId: "missingAtLeastOne", column: 39 }],
+    },
+    {
+      code: "class UsersController { @Get() @UseGuards(RateLimit) findAll() { return db.all() } }",
+      options: [{ checkDecorated: ["Get"], enforce: ["AuthGuard"] }],
+      errors: [{ messageId: "missingAtLeastOne" }],
+    },
+    // Decorator patterns
+    {
+      code: "class Resolver { @Graphql.Mutation() update = async () => { db.update() } }",
+      options: [{ checkDecorated: ["*.Mutation"], enforce: ["hasPermission"] }],
+      errors: [{ messageId: "missingAtLeastOne" }],
+    },
+    // Class decorators must satisfy all enforced functions when required
+    {
+      code: "@UseGuards(AuthGuard) class UsersController { @Post() create() { return db.insert() } }",
+      options: [
+        {
+          checkDecorated: ["Post"],
+          enforce: ["AuthGuard", "hasPermission"],
+          requireAll: true,
+        },
+      ],
+      errors: [{ messageId: "missingAll" }],
+    },
+  ],
+});
+
+// Tests for mustUseResult within imported helpers
+followImportsTester.run(
+  "require-call-in-context (mustUseResult with followImports)",
+  rule,
+  {
+    valid: [
+      {
+        code: `
+          import { requireAdmin } from "../lib/checks";
+          query(() => { requireAdmin() })
+        `,
+        filename: routeFilename,
+        options: [
+          {
+            check: ["query"],
+            enforce: ["hasPermission"],
+            followImports: true,
+            mustUseResult: true,
+          },
+        ],
+      },
+      {
+        code: `
+          import { requireAdmin } from "../lib/checks";
+          query(requireAdmin)
+        `,
+        filename: routeFilename,
+        options: [
+          {
+            check: ["query"],
+            enforce: ["hasPermission"],
+            followImports: true,
+            mustUseResult: true,
+          },
+        ],
+      },
+    ],
+    invalid: [
+      {
+        code: `
+          import { logAdmin } from "../lib/checks";
+          query(() => { logAdmin() })
+        `,
+        filename: routeFilename,
+        options: [
+          {
+            check: ["query"],
+            enforce: ["hasPermission"],
+            followImports: true,
+            mustUseResult: true,
+          },
+        ],
+        errors: [{ messageId: "missingAtLeastOne" }],
+      },
+      {
+        code: `
+          import { logAdmin } from "../lib/checks";
+          query(logAdmin)
+        `,
+        filename: routeFilename,
+        options: [
+          {
+            check: ["query"],
+            enforce: ["hasPermission"],
+            followImports: true,
+            mustUseResult: true,
+          },
+        ],
+        errors: [{ messageId: "missingAtLeastOne" }],
+      },
+    ],
+  },
+);
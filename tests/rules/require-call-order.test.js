@@ -0,0 +1,205 @@
+import { RuleTester } from "eslint";
+import tsParser from "@typescript-eslint/parser";
+import rule from "../../lib/rules/require-call-order.js";
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: "module",
+  },
+});
+
+ruleTester.run("require-call-order", rule, {
+  valid: [
+    // Calls in order
+    {
+      code: "command((data) => { validate(data); save(data) })",
+      options: [{ check: ["command"], sequences: [["validate", "save"]] }],
+    },
+
+    // Earlier call only
+    {
+      code: "command((data) => { validate(data) })",
+      options: [{ check: ["command"], sequences: [["validate", "save"]] }],
+    },
+
+    // Outside of a context function
+    {
+      code: "save(data)",
+      options: [{ check: ["command"], sequences: [["validate", "save"]] }],
+    },
+
+    // Arguments run before the call
+    {
+      code: "command((data) => save(validate(data)))",
+      options: [{ check: ["command"], sequences: [["validate", "save"]] }],
+    },
+
+    // Longer sequences and alternatives
+    {
+      code: `
+        command(async () => {
+          const tx = await db.beginTransaction()
+          try {
+            await tx.insert(row)
+            await tx.commit()
+          } catch (error) {
+            await tx.rollback()
+          }
+        })
+      `,
+      options: [
+        {
+          check: ["command"],
+          sequences: [
+            ["beginTransaction", "insert", "commit"],
+            ["beginTransaction", "rollback"],
+          ],
+        },
+      ],
+    },
+
+    // Exported functions
+    {
+      code: "export const actions = { default: async ({ request }) => { const form = await validate(request); await db.save(form) } }",
+      options: [
+        { checkFunctions: ["actions"], sequences: [["validate", "save"]] },
+      ],
+    },
+  ],
+  invalid: [
+    // Functions exported under several names are checked once
+    {
+      code: "function load() { save() }\nexport { load, load as default }",
+      options: [
+        {
+          checkFunctions: ["load", "default"],
+          sequences: [["validate", "save"]],
+        },
+      ],
+      errors: [{ messageId: "missingPrevious", line: 1, column: 19 }],
+    },
+
+    // Later call without the earlier one
+    {
+      code: "command((data) => { save(data) })",
+      options: [{ check: ["command"], sequences: [["validate", "save"]] }],
+      errors: [
+        {
+          messageId: "missingPrevious",
+          data: { name: "save", previous: "validate" },
+          column: 21,
+        },
+      ],
+    },
+
+    // Later call before the earlier one
+    {
+      code: "command((data) => { db.save(data); validate(data) })",
+      options: [{ check: ["command"], sequences: [["validate", "save"]] }],
+      errors: [
+        {
+          message: "db.save is called before validate",
+        },
+      ],
+    },
+
+    // Each step of a longer sequence
+    {
+      code: "command(async () => { const tx = await db.beginTransaction(); await tx.commit() })",
+      options: [
+        {
+          check: ["command"],
+          sequences: [["beginTransaction", "insert", "commit"]],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingPrevious",
+          data: { name: "tx.commit", previous: "insert" },
+        },
+      ],
+    },
+
+    // Calls in nested functions don't count as earlier calls
+    {
+      code: "command((data) => { items.forEach(() => validate(data)); save(data) })",
+      options: [{ check: ["command"], sequences: [["validate", "save"]] }],
+      errors: [
+        {
+          messageId: "missingPrevious",
+          data: { name: "save", previous: "validate" },
+        },
+      ],
+    },
+
+    // Import sources
+    {
+      code: "import { validate } from 'mock'; command((data) => { validate(data); save(data) })",
+      options: [
+        {
+          check: ["command"],
+          sequences: [[{ name: "validate", from: "$lib/forms" }, "save"]],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingPrevious",
+          data: { name: "save", previous: "validate" },
+        },
+      ],
+    },
+
+    // Exported functions
+    {
+      code: "export function load() { return db.commit() }",
+      options: [
+        {
+          checkFunctions: ["load"],
+          sequences: [["beginTransaction", "commit"]],
+        },
+      ],
+      errors: [
+        {
+          messageId: "missingPrevious",
+          data: { name: "db.commit", previous: "beginTransaction" },
+        },
+      ],
+    },
+  ],
+});
+
+// Tests for decorated class methods
+const decoratorTester = new RuleTester({
+  languageOptions: {
+    parser: tsParser,
+    ecmaVersion: 2022,
+    sourceType: "module",
+  },
+});
+
+decoratorTester.run("require-call-order (checkDecorated)", rule, {
+  valid: [
+    {
+      code: "class UsersController { @Post() create(dto) { validate(dto); return save(dto) } }",
+      options: [
+        { checkDecorated: ["Post"], sequences: [["validate", "save"]] },
+      ],
+    },
+  ],
+  invalid: [
+    {
+      code: "class UsersController { @Post() create(dto) { return save(dto) } }",
+      options: [
+        { checkDecorated: ["Post"], sequences: [["validate", "save"]] },
+      ],
+      errors: [
+        {
+          messageId: "missingPrevious",
+          data: { name: "save", previous: "validate" },
+          column: 54,
+        },
+      ],
+    },
+  ],
+});